@@ -0,0 +1,61 @@
+/**
+ * Public module API.
+ *
+ * Exposed as game.modules.get("foundryvtt_wod_v20_ru").api so macros, other modules
+ * and the system can reuse module helpers without importing our files.
+ *
+ * Example:
+ *   const api = game.modules.get("foundryvtt_wod_v20_ru").api;
+ *   api.plural("plural.successes", 3); // "3 успеха"
+ */
+
+import { MOD_ID, info, safe } from "./logger/core.js";
+import { formatGender, formatPlural, pluralCategory } from "./i18n/plural.js";
+import { getUnmatchedReport } from "./hooks/runtime-replacements.js";
+import { getModuleI18nReport } from "./init-module.js";
+import { runFormatStringCheck, validateFormatStrings } from "./diagnostics/format-strings.js";
+import { buildDiagnosticsBundle, downloadDiagnostics } from "./diagnostics/bundle.js";
+import { getProfileReport, resetProfiler } from "./diagnostics/profiler.js";
+import { runSelectorCompatCheck, getSelectorCompatResults } from "./diagnostics/selector-compat.js";
+import { cssVariableCheck } from "./diagnostics/css-sanity.js";
+import { getGlobalErrorGroups, clearGlobalErrorGroups } from "./logger/global-errors.js";
+import { captureSheetSnapshot, downloadSheetSnapshot } from "./diagnostics/sheet-snapshot.js";
+import { measureSheetLayouts, saveLayoutBaseline, runLayoutRegressionCheck } from "./diagnostics/layout-baseline.js";
+
+export const api = {
+  plural: formatPlural,
+  gender: formatGender,
+  pluralCategory,
+  i18n: {
+    report: getModuleI18nReport,
+    checkFormatStrings: runFormatStringCheck,
+    validateFormatStrings
+  },
+  diagnostics: {
+    bundle: buildDiagnosticsBundle,
+    download: downloadDiagnostics,
+    profile: getProfileReport,
+    resetProfile: resetProfiler,
+    checkSelectors: runSelectorCompatCheck,
+    selectorResults: getSelectorCompatResults,
+    measureLayouts: measureSheetLayouts,
+    recordLayoutBaseline: saveLayoutBaseline,
+    compareLayoutBaseline: runLayoutRegressionCheck,
+    checkCssVariables: cssVariableCheck,
+    sheetSnapshot: captureSheetSnapshot,
+    downloadSheetSnapshot,
+    errors: getGlobalErrorGroups,
+    clearErrors: clearGlobalErrorGroups
+  },
+  replacements: {
+    report: getUnmatchedReport
+  }
+};
+
+Hooks.once("init", () => {
+  const mod = safe(() => game.modules.get(MOD_ID), null);
+  if (!mod) return;
+
+  mod.api = api;
+  info("API: exposed module api", { keys: Object.keys(api) });
+});
@@ -0,0 +1,10 @@
+/**
+ * Application base classes for module tool windows.
+ *
+ * Foundry v13 moved the V1 application API under foundry.appv1.api and keeps the
+ * globals only as deprecated aliases. Resolve once here so every window uses the
+ * namespaced class when it exists.
+ */
+
+export const ApplicationV1 = globalThis.foundry?.appv1?.api?.Application ?? globalThis.Application;
+export const FormApplicationV1 = globalThis.foundry?.appv1?.api?.FormApplication ?? globalThis.FormApplication;
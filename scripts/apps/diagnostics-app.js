@@ -0,0 +1,107 @@
+/**
+ * Diagnostics window (settings menu, available to every user).
+ *
+ * Shows what the log ring buffer currently holds and downloads the diagnostics bundle
+ * (scripts/diagnostics/bundle.js) for bug reports. With the profiler setting on it also shows
+ * per-hook timings grouped by sheet class (scripts/diagnostics/profiler.js), and the global errors
+ * captured in debug mode grouped by the module they come from (scripts/logger/global-errors.js).
+ */
+
+import { MOD_ID, getLogBuffer, isDebugEnabled } from "../logger/core.js";
+import { downloadDiagnostics } from "../diagnostics/bundle.js";
+import { getProfileReport, isProfilerEnabled, resetProfiler } from "../diagnostics/profiler.js";
+import { getGlobalErrorGroups, clearGlobalErrorGroups } from "../logger/global-errors.js";
+import { FormApplicationV1 } from "./base.js";
+
+// Error groups listed in the window; the bundle has all of them.
+const SHOWN_ERROR_GROUPS = 20;
+
+function shortTime(iso) {
+  return iso ? iso.slice(11, 19) : "";
+}
+
+export class DiagnosticsApp extends FormApplicationV1 {
+  static get defaultOptions() {
+    return foundry.utils.mergeObject(super.defaultOptions, {
+      id: "wodru-diagnostics",
+      classes: ["wodru-tool", "wodru-diagnostics"],
+      template: `modules/${MOD_ID}/templates/diagnostics.hbs`,
+      width: 520,
+      height: "auto",
+      resizable: true,
+      closeOnSubmit: false
+    });
+  }
+
+  get title() {
+    return game.i18n.localize(`${MOD_ID}.diagnostics.title`);
+  }
+
+  getData() {
+    const entries = getLogBuffer();
+    const levels = {};
+    for (const e of entries) levels[e.level] = (levels[e.level] ?? 0) + 1;
+
+    return {
+      debug: isDebugEnabled(),
+      total: entries.length,
+      levels: Object.entries(levels).map(([level, count]) => ({ level, count })),
+      oldest: entries[0]?.time ?? null,
+      profiler: isProfilerEnabled(),
+      profile: getProfileReport(),
+      errors: this._errorData()
+    };
+  }
+
+  _errorData() {
+    const { groups, dropped, bySource } = getGlobalErrorGroups();
+    const sourceLabel = (kind, id, title) => title ?? id ?? game.i18n.localize(`${MOD_ID}.diagnostics.errors.kind.${kind}`);
+
+    return {
+      total: groups.reduce((n, g) => n + g.count, 0),
+      dropped,
+      sources: bySource.map((s) => ({ ...s, label: sourceLabel(s.kind, s.kind === "module" || s.kind === "system" ? s.source : null, s.title) })),
+      groups: groups.slice(0, SHOWN_ERROR_GROUPS).map((g) => ({
+        source: sourceLabel(g.source.kind, g.source.id, g.source.title),
+        kind: g.source.kind,
+        message: g.message,
+        frame: g.frames[0] ?? "",
+        own: g.own,
+        count: g.count,
+        firstSeen: shortTime(g.firstSeen),
+        lastSeen: shortTime(g.lastSeen)
+      })),
+      more: Math.max(0, groups.length - SHOWN_ERROR_GROUPS)
+    };
+  }
+
+  activateListeners(html) {
+    super.activateListeners(html);
+
+    html.find('[data-action="download"]').on("click", (ev) => {
+      ev.preventDefault();
+      downloadDiagnostics();
+    });
+
+    html.find('[data-action="profile-refresh"]').on("click", (ev) => {
+      ev.preventDefault();
+      this.render(false);
+    });
+
+    html.find('[data-action="errors-clear"]').on("click", (ev) => {
+      ev.preventDefault();
+      clearGlobalErrorGroups();
+      this.render(false);
+    });
+
+    html.find('[data-action="profile-reset"]').on("click", (ev) => {
+      ev.preventDefault();
+      resetProfiler();
+      this.render(false);
+    });
+  }
+
+  async _updateObject() {
+    // Read-only window: nothing to persist.
+  }
+}
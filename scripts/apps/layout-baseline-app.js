@@ -0,0 +1,164 @@
+/**
+ * Layout regression window (settings menu, per client).
+ *
+ * Record a baseline of sheet structure boxes for every actor type, compare after an update and
+ * read the per-tab report (scripts/diagnostics/layout-baseline.js). Baselines can be downloaded
+ * and imported to compare across machines or keep one per release.
+ */
+
+import { MOD_ID, warn } from "../logger/core.js";
+import {
+  DEFAULT_TOLERANCE_PX,
+  getLayoutBaseline,
+  saveLayoutBaseline,
+  runLayoutRegressionCheck
+} from "../diagnostics/layout-baseline.js";
+import { downloadJson, fileStamp } from "../utils/files.js";
+import { FormApplicationV1 } from "./base.js";
+
+function boxText(b) {
+  return b ? `${b.x},${b.y} ${b.w}×${b.h} (${b.count})` : "—";
+}
+
+export class LayoutBaselineApp extends FormApplicationV1 {
+  constructor(object = {}, options = {}) {
+    super(object, options);
+    this._tolerance = DEFAULT_TOLERANCE_PX;
+    this._report = null;
+    this._busy = false;
+    this._error = null;
+  }
+
+  static get defaultOptions() {
+    return foundry.utils.mergeObject(super.defaultOptions, {
+      id: "wodru-layout-baseline",
+      classes: ["wodru-tool", "wodru-layout-baseline"],
+      template: `modules/${MOD_ID}/templates/layout-baseline.hbs`,
+      width: 760,
+      height: 640,
+      resizable: true,
+      closeOnSubmit: false,
+      submitOnClose: false
+    });
+  }
+
+  get title() {
+    return game.i18n.localize(`${MOD_ID}.baseline.title`);
+  }
+
+  getData() {
+    const baseline = getLayoutBaseline();
+    const report = this._report;
+
+    const types = report
+      ? Object.entries(report.actorTypes).map(([type, r]) => ({
+          type,
+          status: r.status,
+          statusLabel: game.i18n.localize(`${MOD_ID}.baseline.status.${r.status}`),
+          error: r.error ?? null,
+          unchanged: Object.values(r.tabs).filter((d) => !d.length).length,
+          tabs: Object.entries(r.tabs)
+            .filter(([, diffs]) => diffs.length)
+            .map(([tab, diffs]) => ({
+              tab,
+              diffs: diffs.map((d) => ({
+                key: d.key,
+                selector: d.selector,
+                kinds: d.kinds.map((k) => game.i18n.localize(`${MOD_ID}.baseline.kind.${k}`)).join(", "),
+                before: boxText(d.before),
+                after: boxText(d.after)
+              }))
+            }))
+        }))
+      : [];
+
+    return {
+      baseline: baseline
+        ? {
+            createdAt: baseline.createdAt,
+            systemVersion: baseline.systemVersion,
+            moduleVersion: baseline.moduleVersion,
+            actorTypes: Object.keys(baseline.actorTypes).length
+          }
+        : null,
+      tolerance: this._tolerance,
+      busy: this._busy,
+      error: this._error,
+      report: report ? { changed: report.changed, systemVersion: report.current.systemVersion } : null,
+      types
+    };
+  }
+
+  async _run(fn) {
+    this._busy = true;
+    this._error = null;
+    this.render(false);
+    try {
+      await fn();
+    } catch (e) {
+      this._error = String(e);
+      warn("Layout baseline tool failed", { err: String(e), stack: e?.stack ?? null });
+    } finally {
+      this._busy = false;
+      this.render(false);
+    }
+  }
+
+  activateListeners(html) {
+    super.activateListeners(html);
+
+    html.find('input[name="tolerance"]').on("change", (ev) => {
+      const v = Number(ev.currentTarget.value);
+      this._tolerance = Number.isFinite(v) && v >= 0 ? v : DEFAULT_TOLERANCE_PX;
+    });
+
+    html.find('[data-action="record"]').on("click", async (ev) => {
+      ev.preventDefault();
+      if (getLayoutBaseline()) {
+        const DialogV2 = foundry.applications.api.DialogV2;
+        const ok = await DialogV2.confirm({
+          window: { title: game.i18n.localize(`${MOD_ID}.baseline.title`) },
+          content: `<p>${game.i18n.localize(`${MOD_ID}.baseline.confirmReplace`)}</p>`,
+          rejectClose: false
+        });
+        if (!ok) return;
+      }
+      this._run(async () => {
+        await saveLayoutBaseline();
+        this._report = null;
+      });
+    });
+
+    html.find('[data-action="compare"]').on("click", (ev) => {
+      ev.preventDefault();
+      this._run(async () => {
+        this._report = await runLayoutRegressionCheck({ tolerance: this._tolerance });
+      });
+    });
+
+    html.find('[data-action="download-baseline"]').on("click", (ev) => {
+      ev.preventDefault();
+      const baseline = getLayoutBaseline();
+      if (baseline) downloadJson(baseline, `wodru-layout-baseline-${fileStamp()}.json`);
+    });
+
+    html.find('[data-action="download-report"]').on("click", (ev) => {
+      ev.preventDefault();
+      if (this._report) downloadJson(this._report, `wodru-layout-report-${fileStamp()}.json`);
+    });
+
+    html.find('input[name="baselineFile"]').on("change", (ev) => {
+      const file = ev.currentTarget.files?.[0];
+      if (!file) return;
+
+      this._run(async () => {
+        await saveLayoutBaseline(JSON.parse(await file.text()));
+        this._report = null;
+      });
+    });
+  }
+
+  async _updateObject() {
+    // Actions are buttons; nothing is submitted.
+  }
+}
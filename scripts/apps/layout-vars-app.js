@@ -0,0 +1,141 @@
+/**
+ * Layout tuning panel (per-client settings menu).
+ *
+ * - Lists the variables of styles/ru-vars.css documented in README-SHEET.md with their file
+ *   defaults; internal ones sit in a separate group, collapsed unless the filter matches them or
+ *   one of them is changed.
+ * - Typing a value previews it immediately on open sheets (inline :root property).
+ * - Save stores the values in the client setting; closing without saving reverts the preview.
+ * - Reset clears all saved values (file defaults apply again).
+ */
+
+import { MOD_ID } from "../logger/core.js";
+import {
+  LAYOUT_VARS_SETTING,
+  applyLayoutVars,
+  cleanLayoutVars,
+  getSavedLayoutVars,
+  listLayoutVars
+} from "../hooks/layout-vars.js";
+import { FormApplicationV1 } from "./base.js";
+
+const SEARCH_DEBOUNCE_MS = 300;
+
+export class LayoutVarsApp extends FormApplicationV1 {
+  constructor(object = {}, options = {}) {
+    super(object, options);
+    this._query = "";
+    this._draft = {};
+    this._searchTimer = null;
+    this._internalOpen = false;
+  }
+
+  static get defaultOptions() {
+    return foundry.utils.mergeObject(super.defaultOptions, {
+      id: "wodru-layout-vars",
+      classes: ["wodru-tool", "wodru-layout-vars"],
+      template: `modules/${MOD_ID}/templates/layout-vars.hbs`,
+      width: 640,
+      height: 680,
+      resizable: true,
+      closeOnSubmit: false,
+      submitOnClose: false
+    });
+  }
+
+  get title() {
+    return game.i18n.localize(`${MOD_ID}.layout.title`);
+  }
+
+  /**
+   * Saved values with unsaved edits on top ("" in the draft means "back to default").
+   */
+  _effectiveValues() {
+    return cleanLayoutVars({ ...getSavedLayoutVars(), ...this._draft });
+  }
+
+  getData() {
+    const values = this._effectiveValues();
+    const query = this._query.trim().toLowerCase();
+
+    const rows = listLayoutVars()
+      .filter((v) => !query || v.name.includes(query))
+      .map((v) => ({ name: v.name, defaultValue: v.value, value: values[v.name] ?? "", changed: v.name in values, documented: v.documented }));
+    const internal = rows.filter((r) => !r.documented);
+
+    return {
+      query: this._query,
+      rows,
+      documentedRows: rows.filter((r) => r.documented),
+      internalRows: internal,
+      internalOpen: this._internalOpen || Boolean(query && internal.length) || internal.some((r) => r.changed),
+      changedCount: Object.keys(values).length,
+      dirty: Object.keys(this._draft).length > 0
+    };
+  }
+
+  _preview() {
+    applyLayoutVars(this._effectiveValues());
+  }
+
+  activateListeners(html) {
+    super.activateListeners(html);
+
+    html.find('input[name="query"]').on("input", (ev) => {
+      this._query = String(ev.currentTarget.value ?? "");
+      if (this._searchTimer) clearTimeout(this._searchTimer);
+      this._searchTimer = setTimeout(() => this.render(false), SEARCH_DEBOUNCE_MS);
+    });
+
+    html.find("details.wodru-layout-internal").on("toggle", (ev) => {
+      this._internalOpen = ev.currentTarget.open;
+    });
+
+    html.find("input[data-var]").on("input", (ev) => {
+      const input = ev.currentTarget;
+      this._draft[input.dataset.var] = String(input.value ?? "");
+      input.closest("tr")?.classList.toggle("wodru-overridden", Boolean(input.value.trim()));
+      this._preview();
+    });
+
+    html.find('[data-action="reset-row"]').on("click", (ev) => {
+      ev.preventDefault();
+      const name = ev.currentTarget.dataset.var;
+      this._draft[name] = "";
+      html.find("input[data-var]").filter((_, el) => el.dataset.var === name).val("");
+      ev.currentTarget.closest("tr")?.classList.remove("wodru-overridden");
+      this._preview();
+    });
+
+    html.find('[data-action="reset-all"]').on("click", async (ev) => {
+      ev.preventDefault();
+      this._draft = {};
+      await game.settings.set(MOD_ID, LAYOUT_VARS_SETTING, {});
+      ui.notifications?.info(game.i18n.localize(`${MOD_ID}.layout.resetDone`));
+      this.render(false);
+    });
+
+    // Keep typing in the search box after a re-render.
+    const search = html.find('input[name="query"]')[0];
+    if (search && this._query) {
+      search.focus();
+      search.setSelectionRange(search.value.length, search.value.length);
+    }
+  }
+
+  async _updateObject() {
+    const next = this._effectiveValues();
+    this._draft = {};
+
+    await game.settings.set(MOD_ID, LAYOUT_VARS_SETTING, next);
+    ui.notifications?.info(game.i18n.localize(`${MOD_ID}.layout.saved`));
+    this.render(false);
+  }
+
+  async close(options = {}) {
+    // Drop unsaved preview values.
+    this._draft = {};
+    applyLayoutVars(getSavedLayoutVars());
+    return super.close(options);
+  }
+}
@@ -0,0 +1,189 @@
+/**
+ * Live module log viewer (settings menu + keybinding).
+ *
+ * Reads the ring buffer of scripts/logger/core.js, so it also shows entries recorded while
+ * console output was off or filtered. Filters: minimum level, namespace, text search.
+ * Each entry expands to pretty-printed JSON and can be copied to the clipboard.
+ */
+
+import { MOD_ID, LOG_LEVELS, getLogBuffer, onLogEntry, safe } from "../logger/core.js";
+import { FormApplicationV1 } from "./base.js";
+
+const MAX_ROWS = 300;
+const LIVE_RENDER_MS = 500;
+const SEARCH_DEBOUNCE_MS = 300;
+
+function prettyData(raw) {
+  if (!raw) return "";
+  try {
+    return JSON.stringify(JSON.parse(raw), null, 2);
+  } catch {
+    // Truncated or non-JSON payloads are shown as recorded.
+    return raw;
+  }
+}
+
+function entryText(entry) {
+  const head = `${entry.time} ${entry.t} ${entry.level.toUpperCase()} ${entry.msg}`;
+  return entry.data ? `${head}\n${prettyData(entry.data)}` : head;
+}
+
+async function copyText(text) {
+  const copy = safe(() => game.clipboard?.copyPlainText?.bind(game.clipboard), null);
+  if (copy) return copy(text);
+  return navigator.clipboard?.writeText(text);
+}
+
+export class LogViewerApp extends FormApplicationV1 {
+  constructor(object = {}, options = {}) {
+    super(object, options);
+    this._level = "debug";
+    this._ns = "";
+    this._query = "";
+    this._expanded = new Set();
+    this._scrollTop = 0;
+    this._liveTimer = null;
+    this._searchTimer = null;
+    this._unsubscribe = null;
+    this._rendering = false;
+  }
+
+  static get defaultOptions() {
+    return foundry.utils.mergeObject(super.defaultOptions, {
+      id: "wodru-log-viewer",
+      classes: ["wodru-tool", "wodru-log-viewer"],
+      template: `modules/${MOD_ID}/templates/log-viewer.hbs`,
+      width: 900,
+      height: 640,
+      resizable: true,
+      closeOnSubmit: false,
+      submitOnClose: false
+    });
+  }
+
+  get title() {
+    return game.i18n.localize(`${MOD_ID}.logViewer.title`);
+  }
+
+  /**
+   * Open the viewer (or bring the open one to front).
+   */
+  static open() {
+    const existing = Object.values(ui.windows ?? {}).find((w) => w instanceof LogViewerApp);
+    if (existing) return existing.render(true, { focus: true });
+    return new LogViewerApp().render(true);
+  }
+
+  getData() {
+    const entries = getLogBuffer();
+    const maxLevel = LOG_LEVELS.indexOf(this._level);
+    const query = this._query.trim().toLowerCase();
+
+    const namespaces = [...new Set(entries.map((e) => e.ns).filter(Boolean))].sort();
+
+    const matched = entries.filter((e) => {
+      if (LOG_LEVELS.indexOf(e.level) > maxLevel) return false;
+      if (this._ns && e.ns !== this._ns) return false;
+      if (query && !`${e.msg}\n${e.data}`.toLowerCase().includes(query)) return false;
+      return true;
+    });
+
+    // Newest first.
+    const rows = matched
+      .slice(-MAX_ROWS)
+      .reverse()
+      .map((e) => ({ ...e, pretty: prettyData(e.data), open: this._expanded.has(e.id) }));
+
+    return {
+      levels: LOG_LEVELS.map((level) => ({ level, selected: level === this._level })),
+      namespaces: namespaces.map((ns) => ({ ns, selected: ns === this._ns })),
+      query: this._query,
+      rows,
+      matched: matched.length,
+      total: entries.length,
+      truncated: matched.length > rows.length,
+      maxRows: MAX_ROWS
+    };
+  }
+
+  async _render(force, options) {
+    const list = this.element?.[0]?.querySelector(".wodru-log-list");
+    if (list) this._scrollTop = list.scrollTop;
+
+    this._rendering = true;
+    try {
+      await super._render(force, options);
+    } finally {
+      this._rendering = false;
+    }
+
+    if (!this._unsubscribe) this._unsubscribe = onLogEntry(() => this._scheduleLiveRender());
+  }
+
+  _scheduleLiveRender() {
+    // Entries logged by our own render (e.g. the "app-render" debug hook) must not trigger another one.
+    if (this._rendering || this._liveTimer) return;
+    this._liveTimer = setTimeout(() => {
+      this._liveTimer = null;
+      if (this.rendered) this.render(false);
+    }, LIVE_RENDER_MS);
+  }
+
+  activateListeners(html) {
+    super.activateListeners(html);
+
+    html.find('select[name="level"]').on("change", (ev) => {
+      this._level = String(ev.currentTarget.value);
+      this.render(false);
+    });
+
+    html.find('select[name="ns"]').on("change", (ev) => {
+      this._ns = String(ev.currentTarget.value);
+      this.render(false);
+    });
+
+    html.find('input[name="query"]').on("input", (ev) => {
+      this._query = String(ev.currentTarget.value ?? "");
+      if (this._searchTimer) clearTimeout(this._searchTimer);
+      this._searchTimer = setTimeout(() => this.render(false), SEARCH_DEBOUNCE_MS);
+    });
+
+    html.find("details[data-entry-id]").on("toggle", (ev) => {
+      const id = Number(ev.currentTarget.dataset.entryId);
+      if (ev.currentTarget.open) this._expanded.add(id);
+      else this._expanded.delete(id);
+    });
+
+    html.find('[data-action="copy"]').on("click", async (ev) => {
+      ev.preventDefault();
+      const id = Number(ev.currentTarget.dataset.entryId);
+      const entry = getLogBuffer().find((e) => e.id === id);
+      if (!entry) return;
+
+      await copyText(entryText(entry));
+      ui.notifications?.info(game.i18n.localize(`${MOD_ID}.logViewer.copied`));
+    });
+
+    const list = html.find(".wodru-log-list")[0];
+    if (list) list.scrollTop = this._scrollTop;
+
+    // Keep typing in the search box after a re-render.
+    const search = html.find('input[name="query"]')[0];
+    if (search && this._query) {
+      search.focus();
+      search.setSelectionRange(search.value.length, search.value.length);
+    }
+  }
+
+  async _updateObject() {
+    // Read-only window: nothing to persist.
+  }
+
+  async close(options = {}) {
+    this._unsubscribe?.();
+    this._unsubscribe = null;
+    if (this._liveTimer) clearTimeout(this._liveTimer);
+    this._liveTimer = null;
+    return super.close(options);
+  }
+}
@@ -0,0 +1,164 @@
+/**
+ * Overflow inspector side panel (actor sheet header button, debug mode only).
+ *
+ * Outlines clipped text on the inspected sheet (scripts/diagnostics/overflow-inspector.js) and
+ * lists every hit with its text, selector path and the likely --wodru-* variable.
+ * Clicking a row scrolls to the element and flashes it. The sheet is rescanned after it re-renders;
+ * closing the panel removes the outlines.
+ */
+
+import { MOD_ID, debugNs, isDebugEnabled, safe } from "../logger/core.js";
+import { scanOverflow, markOverflow, clearOverflowMarks, FLASH_CLASS } from "../diagnostics/overflow-inspector.js";
+import { FormApplicationV1 } from "./base.js";
+
+const NS = "overflow";
+
+const PANEL_WIDTH = 520;
+const PANEL_GAP = 8;
+const FLASH_MS = 1500;
+
+/** @type {Map<object, OverflowInspectorApp>} sheet -> open panel */
+const panels = new Map();
+
+export class OverflowInspectorApp extends FormApplicationV1 {
+  /**
+   * @param {any} sheet - actor sheet to inspect
+   */
+  constructor(sheet, options = {}) {
+    super({}, options);
+    this.sheet = sheet;
+    this._hits = [];
+  }
+
+  static get defaultOptions() {
+    return foundry.utils.mergeObject(super.defaultOptions, {
+      classes: ["wodru-tool", "wodru-overflow-inspector"],
+      template: `modules/${MOD_ID}/templates/overflow-inspector.hbs`,
+      width: PANEL_WIDTH,
+      height: 600,
+      resizable: true,
+      closeOnSubmit: false,
+      submitOnClose: false
+    });
+  }
+
+  get id() {
+    return `wodru-overflow-${this.sheet?.appId ?? "sheet"}`;
+  }
+
+  get title() {
+    return game.i18n.format(`${MOD_ID}.overflow.title`, { name: this.sheet?.title ?? "" });
+  }
+
+  /**
+   * Open (or focus) the panel for a sheet, placed to the right of it.
+   *
+   * @param {any} sheet
+   */
+  static open(sheet) {
+    const existing = panels.get(sheet);
+    if (existing) return existing.render(true, { focus: true });
+
+    const pos = sheet?.position ?? {};
+    const left = Number(pos.left ?? 0) + Number(pos.width ?? 0) + PANEL_GAP;
+    const fits = left + PANEL_WIDTH <= (globalThis.innerWidth ?? Infinity);
+
+    const app = new OverflowInspectorApp(sheet, fits ? { left, top: pos.top } : {});
+    panels.set(sheet, app);
+    return app.render(true);
+  }
+
+  get sheetRoot() {
+    return this.sheet?.element?.[0] ?? null;
+  }
+
+  scan() {
+    const root = this.sheetRoot;
+    this._hits = root ? scanOverflow(root) : [];
+    if (root) markOverflow(root, this._hits);
+
+    debugNs(NS, "overflow scan", {
+      sheetClass: this.sheet?.constructor?.name ?? null,
+      hits: this._hits.map((h) => ({ text: h.text, path: h.path, dx: h.dx, dy: h.dy, variable: h.guess?.variable ?? null }))
+    });
+  }
+
+  getData() {
+    return {
+      rows: this._hits.map((h, i) => ({
+        index: i + 1,
+        text: h.text,
+        path: h.path,
+        dx: h.dx,
+        dy: h.dy,
+        variable: h.guess?.variable ?? null,
+        source: h.guess ? `${h.guess.selector} { ${h.guess.property} }` : ""
+      }))
+    };
+  }
+
+  async _render(force, options) {
+    // Scan before the panel template is built; the first render scans too.
+    if (force || !this.rendered) this.scan();
+    return super._render(force, options);
+  }
+
+  activateListeners(html) {
+    super.activateListeners(html);
+
+    html.find('[data-action="rescan"]').on("click", (ev) => {
+      ev.preventDefault();
+      this.scan();
+      this.render(false);
+    });
+
+    html.find("tr[data-index]").on("click", (ev) => {
+      const hit = this._hits[Number(ev.currentTarget.dataset.index) - 1];
+      if (!hit?.el?.isConnected) return;
+
+      hit.el.scrollIntoView({ block: "center", behavior: "smooth" });
+      hit.el.classList.add(FLASH_CLASS);
+      setTimeout(() => hit.el.classList.remove(FLASH_CLASS), FLASH_MS);
+    });
+  }
+
+  async _updateObject() {
+    // Read-only panel: nothing to persist.
+  }
+
+  async close(options = {}) {
+    clearOverflowMarks(this.sheetRoot);
+    panels.delete(this.sheet);
+    return super.close(options);
+  }
+}
+
+Hooks.on("getActorSheetHeaderButtons", (sheet, buttons) => {
+  if (!isDebugEnabled()) return;
+
+  buttons.unshift({
+    label: game.i18n.localize(`${MOD_ID}.overflow.button`),
+    class: "wodru-overflow-open",
+    icon: "fas fa-text-width",
+    onclick: () => OverflowInspectorApp.open(sheet)
+  });
+});
+
+// Re-rendered sheet = new DOM: scan again once layout settles.
+Hooks.on("renderActorSheet", (sheet) => {
+  const panel = panels.get(sheet);
+  if (!panel?.rendered) return;
+
+  requestAnimationFrame(() =>
+    requestAnimationFrame(() =>
+      safe(() => {
+        panel.scan();
+        panel.render(false);
+      })
+    )
+  );
+});
+
+Hooks.on("closeActorSheet", (sheet) => {
+  panels.get(sheet)?.close();
+});
@@ -0,0 +1,114 @@
+/**
+ * Settings preset window (settings menu).
+ *
+ * - Export: downloads every module setting (all scopes) as one JSON preset.
+ * - Import: reads a preset file, validates it against the registered settings and shows
+ *   a diff (current vs preset value, per key); nothing is written until "Apply".
+ */
+
+import { MOD_ID, info, warn } from "../logger/core.js";
+import { buildPreset, diffPreset, applyPresetEntries } from "../utils/settings-preset.js";
+import { downloadJson, fileStamp } from "../utils/files.js";
+import { FormApplicationV1 } from "./base.js";
+
+const PREVIEW_CHARS = 80;
+
+function preview(value) {
+  if (value === undefined) return "—";
+  const text = JSON.stringify(value) ?? String(value);
+  return text.length > PREVIEW_CHARS ? `${text.slice(0, PREVIEW_CHARS)}…` : text;
+}
+
+function presetOf(entries) {
+  const settings = {};
+  for (const { key, scope, next } of entries) (settings[scope] ??= {})[key] = next;
+  return { module: MOD_ID, settings };
+}
+
+export class SettingsPresetApp extends FormApplicationV1 {
+  constructor(object = {}, options = {}) {
+    super(object, options);
+    this._fileName = null;
+    this._diff = null;
+    this._error = null;
+  }
+
+  static get defaultOptions() {
+    return foundry.utils.mergeObject(super.defaultOptions, {
+      id: "wodru-settings-preset",
+      classes: ["wodru-tool", "wodru-settings-preset"],
+      template: `modules/${MOD_ID}/templates/settings-preset.hbs`,
+      width: 760,
+      height: 600,
+      resizable: true,
+      closeOnSubmit: false,
+      submitOnClose: false
+    });
+  }
+
+  get title() {
+    return game.i18n.localize(`${MOD_ID}.preset.title`);
+  }
+
+  getData() {
+    const entries = (this._diff?.entries ?? []).map((e) => ({
+      ...e,
+      currentText: preview(e.current),
+      nextText: preview(e.next),
+      statusLabel: game.i18n.localize(`${MOD_ID}.preset.status.${e.status}`),
+      changed: e.status === "change"
+    }));
+
+    return {
+      fileName: this._fileName,
+      error: this._error,
+      errors: (this._diff?.errors ?? []).map((code) => game.i18n.localize(`${MOD_ID}.preset.errors.${code.split(":")[0]}`)),
+      entries,
+      changeCount: entries.filter((e) => e.changed).length,
+      loaded: Boolean(this._diff)
+    };
+  }
+
+  activateListeners(html) {
+    super.activateListeners(html);
+
+    html.find('[data-action="export"]').on("click", (ev) => {
+      ev.preventDefault();
+      downloadJson(buildPreset(), `wodru-settings-${fileStamp()}.json`);
+    });
+
+    html.find('input[name="presetFile"]').on("change", async (ev) => {
+      const file = ev.currentTarget.files?.[0];
+      if (!file) return;
+
+      this._fileName = file.name;
+      this._error = null;
+      this._diff = null;
+
+      try {
+        this._diff = diffPreset(JSON.parse(await file.text()));
+      } catch (e) {
+        this._error = String(e);
+        warn("Settings preset could not be read", { file: file.name, err: String(e) });
+      }
+      this.render(false);
+    });
+  }
+
+  async _updateObject() {
+    if (!this._diff || this._diff.errors.length) return;
+
+    // Re-diff right before writing: values may have changed while the window was open.
+    const preset = presetOf(this._diff.entries);
+    const { applied, failed } = await applyPresetEntries(diffPreset(preset).entries);
+    info("Settings preset applied", { file: this._fileName, applied, failed });
+
+    if (failed.length) {
+      ui.notifications?.warn(game.i18n.format(`${MOD_ID}.preset.applyFailed`, { count: failed.length }));
+    }
+    ui.notifications?.info(game.i18n.format(`${MOD_ID}.preset.applied`, { count: applied.length }));
+
+    this._diff = diffPreset(preset);
+    this.render(false);
+  }
+}
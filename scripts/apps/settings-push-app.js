@@ -0,0 +1,176 @@
+/**
+ * Settings push window (GM settings menu).
+ *
+ * - Bundle: the GM's own values of client-scoped module settings (tick the ones to send),
+ *   optionally replaced by the client section of a preset file.
+ * - Targets: every connected player or a selection.
+ * - Each client answers after its confirmation prompt; results are shown per user.
+ */
+
+import { MOD_ID, warn, safe } from "../logger/core.js";
+import { listModuleSettings } from "../utils/settings-preset.js";
+import { pushSettings, forgetPush } from "../hooks/settings-push.js";
+import { FormApplicationV1 } from "./base.js";
+
+const PREVIEW_CHARS = 60;
+
+function preview(value) {
+  const text = JSON.stringify(value) ?? String(value);
+  return text.length > PREVIEW_CHARS ? `${text.slice(0, PREVIEW_CHARS)}…` : text;
+}
+
+export class SettingsPushApp extends FormApplicationV1 {
+  constructor(object = {}, options = {}) {
+    super(object, options);
+    this._values = null; // key -> value to send (null = GM's current client values)
+    this._source = null; // preset file name
+    this._requestId = null;
+    this._results = new Map(); // userId -> result payload
+    this._error = null;
+    // Checkbox state survives re-renders (results arrive one by one and each one re-renders).
+    this._send = new Set();
+    this._allUsers = true;
+    this._users = new Set();
+  }
+
+  static get defaultOptions() {
+    return foundry.utils.mergeObject(super.defaultOptions, {
+      id: "wodru-settings-push",
+      classes: ["wodru-tool", "wodru-settings-push"],
+      template: `modules/${MOD_ID}/templates/settings-push.hbs`,
+      width: 640,
+      height: 640,
+      resizable: true,
+      closeOnSubmit: false,
+      submitOnClose: false
+    });
+  }
+
+  get title() {
+    return game.i18n.localize(`${MOD_ID}.push.title`);
+  }
+
+  _clientSettings() {
+    return listModuleSettings().filter((s) => s.scope === "client");
+  }
+
+  _bundleValues() {
+    if (this._values) return this._values;
+    return Object.fromEntries(this._clientSettings().map((s) => [s.key, safe(() => game.settings.get(MOD_ID, s.key), null)]));
+  }
+
+  getData() {
+    const values = this._bundleValues();
+
+    const settings = this._clientSettings()
+      .filter((s) => s.key in values)
+      .map((s) => ({ key: s.key, value: preview(values[s.key]), checked: this._send.has(s.key) }));
+
+    const users = safe(() => Array.from(game.users), [])
+      .filter((u) => u.active && u.id !== game.user.id)
+      .map((u) => {
+        const r = this._results.get(u.id);
+        return {
+          id: u.id,
+          name: u.name,
+          checked: this._users.has(u.id),
+          status: r ? game.i18n.localize(`${MOD_ID}.push.status.${r.status}`) : this._requestId ? "…" : "",
+          applied: r?.applied?.length ?? null,
+          failed: r?.failed?.map((f) => f.key).join(", ") ?? "",
+          invalid: r?.invalid?.join(", ") ?? ""
+        };
+      });
+
+    return {
+      settings,
+      users,
+      allUsers: this._allUsers,
+      source: this._source,
+      error: this._error,
+      sent: Boolean(this._requestId)
+    };
+  }
+
+  activateListeners(html) {
+    super.activateListeners(html);
+
+    html.find('input[name^="send."]').on("change", (ev) => {
+      const key = ev.currentTarget.name.slice(5);
+      if (ev.currentTarget.checked) this._send.add(key);
+      else this._send.delete(key);
+    });
+
+    html.find('input[name^="user."]').on("change", (ev) => {
+      const id = ev.currentTarget.name.slice(5);
+      if (ev.currentTarget.checked) this._users.add(id);
+      else this._users.delete(id);
+    });
+
+    html.find('input[name="allUsers"]').on("change", (ev) => {
+      this._allUsers = ev.currentTarget.checked;
+    });
+
+    html.find('input[name="presetFile"]').on("change", async (ev) => {
+      const file = ev.currentTarget.files?.[0];
+      if (!file) return;
+
+      this._error = null;
+      try {
+        const raw = JSON.parse(await file.text());
+        this._values = { ...(raw?.settings?.client ?? {}) };
+        this._source = file.name;
+      } catch (e) {
+        this._error = String(e);
+        warn("Settings push: preset file could not be read", { file: file.name, err: String(e) });
+      }
+      this.render(false);
+    });
+
+    html.find('[data-action="use-current"]').on("click", (ev) => {
+      ev.preventDefault();
+      this._values = null;
+      this._source = null;
+      this.render(false);
+    });
+  }
+
+  async _updateObject(_event, formData) {
+    const values = this._bundleValues();
+    const keys = Object.keys(values).filter((k) => formData[`send.${k}`] === true);
+    if (!keys.length) {
+      ui.notifications?.warn(game.i18n.localize(`${MOD_ID}.push.nothingSelected`));
+      return;
+    }
+
+    const selected = Object.keys(formData).filter((k) => k.startsWith("user.") && formData[k] === true).map((k) => k.slice(5));
+    const targets = formData.allUsers === true ? null : selected;
+    if (Array.isArray(targets) && !targets.length) {
+      ui.notifications?.warn(game.i18n.localize(`${MOD_ID}.push.noTargets`));
+      return;
+    }
+
+    if (this._requestId) forgetPush(this._requestId);
+    this._results = new Map();
+
+    const client = Object.fromEntries(keys.map((k) => [k, values[k]]));
+    this._requestId = pushSettings(
+      { settings: { client } },
+      {
+        targets,
+        onResult: (result) => {
+          this._results.set(result.userId, result);
+          if (this.rendered) this.render(false);
+        }
+      }
+    );
+
+    ui.notifications?.info(game.i18n.localize(`${MOD_ID}.push.sent`));
+    this.render(false);
+  }
+
+  async close(options = {}) {
+    if (this._requestId) forgetPush(this._requestId);
+    this._requestId = null;
+    return super.close(options);
+  }
+}
@@ -0,0 +1,82 @@
+/**
+ * Translation audit window (GM settings menu).
+ *
+ * Shows the cached report from scripts/i18n/translation-audit.js grouped by section,
+ * with actions to re-run the audit and to export the full report as JSON.
+ */
+
+import { MOD_ID, warn } from "../logger/core.js";
+import { getLastAuditReport, runTranslationAudit } from "../i18n/translation-audit.js";
+import { downloadJson, fileStamp } from "../utils/files.js";
+import { FormApplicationV1 } from "./base.js";
+
+export class TranslationAuditApp extends FormApplicationV1 {
+  constructor(object = {}, options = {}) {
+    super(object, options);
+    this._error = null;
+  }
+
+  static get defaultOptions() {
+    return foundry.utils.mergeObject(super.defaultOptions, {
+      id: "wodru-translation-audit",
+      classes: ["wodru-tool", "wodru-translation-audit"],
+      template: `modules/${MOD_ID}/templates/translation-audit.hbs`,
+      width: 720,
+      height: 640,
+      resizable: true,
+      closeOnSubmit: false
+    });
+  }
+
+  get title() {
+    return game.i18n.localize(`${MOD_ID}.audit.title`);
+  }
+
+  async getData() {
+    let report = getLastAuditReport();
+
+    if (!report && !this._error) {
+      try {
+        report = await runTranslationAudit();
+      } catch (e) {
+        this._error = String(e);
+        warn("I18N: audit window failed to run audit", { err: String(e), stack: e?.stack ?? null });
+      }
+    }
+
+    return {
+      error: this._error,
+      report,
+      sections: (report?.sections ?? []).map((s) => ({
+        ...s,
+        total: s.missing.length + s.obsolete.length + s.untranslated.length
+      }))
+    };
+  }
+
+  activateListeners(html) {
+    super.activateListeners(html);
+
+    html.find('[data-action="rerun"]').on("click", async (ev) => {
+      ev.preventDefault();
+      this._error = null;
+      try {
+        await runTranslationAudit({ reload: true });
+      } catch (e) {
+        this._error = String(e);
+      }
+      this.render(false);
+    });
+
+    html.find('[data-action="export"]').on("click", (ev) => {
+      ev.preventDefault();
+      const report = getLastAuditReport();
+      if (!report) return;
+      downloadJson(report, `wodru-translation-audit-${fileStamp()}.json`);
+    });
+  }
+
+  async _updateObject() {
+    // Read-only window: nothing to persist.
+  }
+}
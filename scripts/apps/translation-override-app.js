@@ -0,0 +1,172 @@
+/**
+ * Translation override editor (GM settings menu).
+ *
+ * - Search any localization key by key, English text or current RU text.
+ * - Show EN / RU side by side and edit a per-world override.
+ * - Saving writes the world setting; its onChange re-applies overrides and re-renders sheets.
+ *
+ * Rendering is capped (MAX_ROWS) because the merged dictionary has thousands of keys.
+ * Unsaved edits are kept as drafts, so searching or filtering (both re-render) does not lose them;
+ * saving writes every draft, including rows currently filtered out.
+ */
+
+import { MOD_ID, warn, safe } from "../logger/core.js";
+import { flattenStrings, getTranslation } from "../i18n/keys.js";
+import { getBaseTranslation, getLayerValue } from "../i18n/layers.js";
+import { OVERRIDES_SETTING, getTranslationOverrides } from "../i18n/overrides.js";
+import { PROFILE_LAYER } from "../constants/profiles.js";
+import { loadSystemEnglish } from "../i18n/sources.js";
+import { FormApplicationV1 } from "./base.js";
+
+const MAX_ROWS = 100;
+const MIN_QUERY = 2;
+const SEARCH_DEBOUNCE_MS = 300;
+
+export class TranslationOverrideApp extends FormApplicationV1 {
+  constructor(object = {}, options = {}) {
+    super(object, options);
+    this._query = "";
+    this._onlyOverridden = false;
+    this._systemEn = null;
+    this._searchTimer = null;
+    /** @type {Map<string, string>} key -> unsaved override text ("" = clear) */
+    this._drafts = new Map();
+  }
+
+  static get defaultOptions() {
+    return foundry.utils.mergeObject(super.defaultOptions, {
+      id: "wodru-translation-overrides",
+      classes: ["wodru-tool", "wodru-translation-overrides"],
+      template: `modules/${MOD_ID}/templates/translation-overrides.hbs`,
+      width: 900,
+      height: 680,
+      resizable: true,
+      closeOnSubmit: false,
+      submitOnClose: false
+    });
+  }
+
+  get title() {
+    return game.i18n.localize(`${MOD_ID}.overrides.title`);
+  }
+
+  async _systemEnglish() {
+    if (this._systemEn) return this._systemEn;
+    try {
+      this._systemEn = flattenStrings(await loadSystemEnglish());
+    } catch (e) {
+      warn("I18N: override editor could not load system English file", { err: String(e) });
+      this._systemEn = {};
+    }
+    return this._systemEn;
+  }
+
+  async getData() {
+    const store = game.i18n.translations ?? {};
+    const fallback = safe(() => game.i18n._fallback, null) ?? {};
+    const systemEn = await this._systemEnglish();
+    const overrides = getTranslationOverrides();
+
+    const query = this._query.trim().toLowerCase();
+    const active = this._onlyOverridden || query.length >= MIN_QUERY;
+
+    const drafted = Object.fromEntries(this._drafts);
+    const keys = this._onlyOverridden
+      ? Object.keys({ ...overrides, ...drafted })
+      : Object.keys({ ...flattenStrings(store), ...overrides, ...drafted });
+
+    const rows = [];
+    let matched = 0;
+
+    if (active) {
+      for (const key of keys.sort()) {
+        const en = getTranslation(fallback, key) ?? systemEn[key] ?? "";
+        // RU as it would be without the override (profile term wins over the base dictionary).
+        const ru = getLayerValue(PROFILE_LAYER, key) ?? getBaseTranslation(store, key) ?? "";
+        const draft = this._drafts.has(key);
+        const override = draft ? this._drafts.get(key) : (overrides[key] ?? "");
+
+        if (query.length >= MIN_QUERY) {
+          const hay = `${key}\n${en}\n${ru}\n${override}`.toLowerCase();
+          if (!hay.includes(query)) continue;
+        }
+
+        matched += 1;
+        if (rows.length < MAX_ROWS) rows.push({ key, en, ru, override, overridden: key in overrides, draft });
+      }
+    }
+
+    return {
+      query: this._query,
+      onlyOverridden: this._onlyOverridden,
+      active,
+      rows,
+      matched,
+      truncated: matched > rows.length,
+      maxRows: MAX_ROWS,
+      overrideCount: Object.keys(overrides).length,
+      draftCount: this._drafts.size
+    };
+  }
+
+  activateListeners(html) {
+    super.activateListeners(html);
+
+    html.find('input[name="query"]').on("input", (ev) => {
+      this._query = String(ev.currentTarget.value ?? "");
+      if (this._searchTimer) clearTimeout(this._searchTimer);
+      this._searchTimer = setTimeout(() => this.render(false), SEARCH_DEBOUNCE_MS);
+    });
+
+    // Enter in the search box would submit the form and save every draft: search instead.
+    html.find('input[name="query"]').on("keydown", (ev) => {
+      if (ev.key !== "Enter") return;
+      ev.preventDefault();
+      if (this._searchTimer) clearTimeout(this._searchTimer);
+      this._searchTimer = null;
+      this.render(false);
+    });
+
+    html.find('input[name="onlyOverridden"]').on("change", (ev) => {
+      this._onlyOverridden = Boolean(ev.currentTarget.checked);
+      this.render(false);
+    });
+
+    html.find("input[data-override-key]").on("input", (ev) => {
+      this._drafts.set(ev.currentTarget.dataset.overrideKey, String(ev.currentTarget.value ?? ""));
+    });
+
+    html.find('[data-action="clear-row"]').on("click", (ev) => {
+      ev.preventDefault();
+      const key = ev.currentTarget.dataset.key;
+      const input = html.find("input[data-override-key]").filter((_, el) => el.dataset.overrideKey === key);
+      input.val("");
+      this._drafts.set(key, "");
+    });
+
+    // Keep typing in the search box after a re-render.
+    const search = html.find('input[name="query"]')[0];
+    if (search && this._query) {
+      search.focus();
+      search.setSelectionRange(search.value.length, search.value.length);
+    }
+  }
+
+  async _updateObject() {
+    const next = getTranslationOverrides();
+
+    // Visible inputs are drafts already (input events); this also covers browser autofill.
+    for (const input of this.form.querySelectorAll("input[data-override-key]")) {
+      this._drafts.set(input.dataset.overrideKey, String(input.value ?? ""));
+    }
+    for (const [key, value] of this._drafts) {
+      if (value.trim()) next[key] = value;
+      else delete next[key];
+    }
+
+    await game.settings.set(MOD_ID, OVERRIDES_SETTING, next);
+    this._drafts.clear();
+    ui.notifications?.info(game.i18n.localize(`${MOD_ID}.overrides.saved`));
+    this.render(false);
+  }
+}
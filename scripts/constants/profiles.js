@@ -0,0 +1,18 @@
+/**
+ * Terminology profiles: alternative term sets layered on top of lang/ru.json.
+ *
+ * - "none" keeps lang/ru.json as is.
+ * - Other ids map to a dictionary file under lang/profiles/ (nested or dotted keys, same as ru.json).
+ *
+ * To add a profile: drop lang/profiles/<id>.json, list it here and add
+ * settings.terminologyProfile.choices.<id> to both module lang files.
+ */
+
+export const PROFILE_SETTING = "terminologyProfile";
+export const PROFILE_LAYER = "profile";
+export const PROFILE_NONE = "none";
+
+export const TERMINOLOGY_PROFILES = {
+  [PROFILE_NONE]: { path: null },
+  community: { path: "lang/profiles/community.json" }
+};
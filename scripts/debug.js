@@ -27,7 +27,9 @@
  *        STEP BEGIN / STEP OK / STEP FAIL logs with timing.
  *
  *    - On ready:
- *        Show a single banner line (enabled/disabled) for quick confirmation.
+ *        a) show a single banner line (enabled/disabled) for quick confirmation
+ *        b) validate placeholders / HTML tags / Handlebars fragments of translated strings
+ *           against English (non-fatal step, see scripts/diagnostics/format-strings.js)
  *
  * IMPORTANT:
  * - "Template patching" is diagnostic-only. It MUST NEVER break init.
@@ -44,6 +46,7 @@ import { installGlobalErrorHooks } from "./logger/global-errors.js";
 import { dumpCoreState } from "./diagnostics/core-state.js";
 import { patchTemplateLoaders } from "./diagnostics/template-patch.js";
 import { registerDebugHooks } from "./hooks/debug-hooks.js";
+import { runFormatStringCheck } from "./diagnostics/format-strings.js";
 import { isDebugEnabled } from "./logger/core.js";
 
 async function onInitDebug() {
@@ -87,6 +90,19 @@ function onReadyBanner() {
   console.info(`[wod-v20-ru][debug] Debug logging is ${on ? "ENABLED" : "DISABLED"} (toggle in module settings).`);
 }
 
+async function onReadyDebug() {
+  if (!isDebugEnabled()) return;
+
+  await runStep(
+    "formatStringCheck",
+    async () => {
+      await runFormatStringCheck();
+    },
+    { fatal: false }
+  );
+}
+
 // We hook init/ready because these are stable points in Foundry lifecycle.
 Hooks.once("init", onInitDebug);
 Hooks.once("ready", onReadyBanner);
+Hooks.once("ready", onReadyDebug);
@@ -0,0 +1,55 @@
+/**
+ * Diagnostics bundle: one JSON file a user can attach to a bug report.
+ *
+ * Contents:
+ * - core state snapshot (scripts/diagnostics/core-state.js)
+ * - CSS sanity check result and the last full CSS variable check (scripts/diagnostics/css-sanity.js)
+ * - every installed module with version and active flag
+ * - the log ring buffer (scripts/logger/core.js), info/warn/error recorded even while debug is off
+ * - selector compatibility results per system version (scripts/diagnostics/selector-compat.js)
+ * - hook profiler statistics (scripts/diagnostics/profiler.js), empty unless the profiler was enabled
+ * - global errors grouped by source module/system (scripts/logger/global-errors.js), debug mode only
+ */
+
+import { MOD_ID, info, safe, getLogBuffer } from "../logger/core.js";
+import { getGlobalErrorGroups } from "../logger/global-errors.js";
+import { collectCoreState } from "./core-state.js";
+import { cssSanityCheck, getLastCssVariableReport } from "./css-sanity.js";
+import { getProfileReport } from "./profiler.js";
+import { getSelectorCompatResults } from "./selector-compat.js";
+import { downloadJson, fileStamp } from "../utils/files.js";
+
+function listModules() {
+  return safe(() => Array.from(game.modules.values()), [])
+    .map((m) => ({ id: m.id, title: m.title, version: m.version ?? null, active: m.active === true }))
+    .sort((a, b) => Number(b.active) - Number(a.active) || a.id.localeCompare(b.id));
+}
+
+/**
+ * Build the bundle object.
+ *
+ * @returns {object}
+ */
+export function buildDiagnosticsBundle() {
+  return {
+    module: MOD_ID,
+    generatedAt: new Date().toISOString(),
+    coreState: safe(() => collectCoreState(), null),
+    cssSanity: safe(() => cssSanityCheck(), null),
+    cssVariables: getLastCssVariableReport(),
+    modules: listModules(),
+    selectorCompat: safe(() => getSelectorCompatResults(), null),
+    profile: safe(() => getProfileReport(), []),
+    globalErrors: safe(() => getGlobalErrorGroups(), null),
+    log: getLogBuffer()
+  };
+}
+
+/**
+ * Build and download the bundle.
+ */
+export function downloadDiagnostics() {
+  const bundle = buildDiagnosticsBundle();
+  downloadJson(bundle, `wodru-diagnostics-${fileStamp()}.json`);
+  info("Diagnostics bundle downloaded", { logEntries: bundle.log.length, modules: bundle.modules.length });
+}
@@ -1,7 +1,10 @@
 import { info, safe, classString, MOD_ID, isDebugEnabled } from "../logger/core.js";
 
-export function dumpCoreState(phase) {
-  info(`Core state (${phase})`, {
+/**
+ * Snapshot of core/system/world/module state (no logging).
+ */
+export function collectCoreState() {
+  return {
     foundry: {
       version: safe(() => game.version),
       release: safe(() => game.release)
@@ -33,5 +36,9 @@ export function dumpCoreState(phase) {
       esmodules: safe(() => game.modules?.get(MOD_ID)?.esmodules)
     },
     debugLogging: isDebugEnabled()
-  });
+  };
+}
+
+export function dumpCoreState(phase) {
+  info(`Core state (${phase})`, collectCoreState());
 }
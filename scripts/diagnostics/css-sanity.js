@@ -10,14 +10,32 @@
  *
  * 2) Probe-based checks (most reliable): create a hidden DOM element with expected classes (langRU)
  *    and read computed styles + CSS variables.
+ *    mountHiddenProbe is shared with the layout baselines (scripts/diagnostics/layout-baseline.js),
+ *    which lay out whole offscreen sheets the same way.
  *
  * We log both so we can diagnose:
  * - Did the CSS file load?
  * - Did it apply to elements?
  * - Do CSS variables have expected values?
+ *
+ * cssVariableCheck (async, needs ready) extends the probe idea to the whole variable set:
+ * - every custom property declared in ru-vars.css and ru-typography-vars.css;
+ * - one probe per splat: the real offscreen sheet of the matching actor type when the system has it,
+ *   otherwise a synthetic `langRU wod-sheet <splat>` element;
+ * - for every module sheet rule: does its selector match in any probe; for every variable: does it
+ *   resolve (non-empty computed value) where it is used in each probe;
+ * - one page probe per charsheet page file (styles/charsheet/pages-layout, pages-typography): the
+ *   sheet tab holding the file's first matched element is activated (nested tabs included) and the
+ *   file's rules are matched against laid-out (visible) elements of that page;
+ * - every module CSS file, page files included: loaded or not.
+ * Declarations and var() references are read as written (shorthands and nested rules included,
+ * scripts/utils/css-rules.js). Synthetic splat probes have no pages: page results come from real
+ * sheets only.
  */
 
-import { info, safe, MOD_ID } from "../logger/core.js";
+import { info, warn, safe, MOD_ID } from "../logger/core.js";
+import { SAMPLE_ITEMS, buildSheetWindow, closeProbeSheet, listActorTypes, listItemTypes, renderProbeSheet } from "./probe-sheet.js";
+import { flattenStyleRules, ruleDeclarations, splitSelectorList, styleRuleSelector, varReferences } from "../utils/css-rules.js";
 
 function normalizeStyleEntry(entry) {
   if (!entry) return null;
@@ -144,19 +162,33 @@ function readCssVar(style, name) {
   }
 }
 
-function cssProbeCheck() {
-  const probe = document.createElement("div");
-  probe.className = "langRU wod-sheet";
+/**
+ * Attach an element offscreen and invisible, but laid out: module CSS applies and computed
+ * styles / bounding boxes are real. The caller removes it (probe.remove()).
+ *
+ * @param {HTMLElement} probe
+ * @returns {HTMLElement}
+ */
+export function mountHiddenProbe(probe) {
   probe.style.position = "absolute";
   probe.style.left = "-10000px";
   probe.style.top = "-10000px";
   probe.style.visibility = "hidden";
+  probe.style.pointerEvents = "none";
+
+  document.body.appendChild(probe);
+  return probe;
+}
+
+function cssProbeCheck() {
+  const probe = document.createElement("div");
+  probe.className = "langRU wod-sheet";
 
   const inner = document.createElement("div");
   inner.className = "sheet-inner-area";
   probe.appendChild(inner);
 
-  document.body.appendChild(probe);
+  mountHiddenProbe(probe);
 
   const probeComputed = safe(() => getComputedStyle(probe), null);
   const innerComputed = safe(() => getComputedStyle(inner), null);
@@ -239,11 +271,291 @@ export function cssSanityCheck() {
       ? collectHrefSamples()
       : null;
 
-  info("CSS sanity check", {
+  const report = {
     expectedHints: hints,
     matchedLinkTags: matchedLinkHrefs,
     matchedStyleSheets: matchedSheetHrefs,
     samples,
     probe
+  };
+
+  info("CSS sanity check", report);
+  return report;
+}
+
+// ---------------------------------------------------------------------------
+// Full variable verification
+// ---------------------------------------------------------------------------
+
+const VAR_FILES = ["styles/ru-vars.css", "styles/typography/ru-typography-vars.css"];
+const PAGE_DIR = "styles/charsheet/";
+// Files whose rules style actor sheets (their selectors are expected to match a probe).
+const SHEET_FILE_RE = /^styles\/(ru-sheets\.css|charsheet\/|typography\/ru-core-typography\.css)/;
+
+const SPLATS = ["vampire", "mage", "werewolf", "changeling", "demon", "hunter", "mortal"];
+
+// User-action pseudo-classes and pseudo-elements never match a static probe; strip before matching.
+const DYNAMIC_PSEUDO_RE = /::?(before|after|placeholder|marker|selection|first-line|first-letter|-webkit-[\w-]+|-moz-[\w-]+)|:(hover|focus-visible|focus-within|focus|active|visited)\b/g;
+const MAX_UNMATCHED_PER_FILE = 40;
+
+let lastVariableReport = null;
+
+/**
+ * Module style files as listed in module.json (module-relative paths).
+ */
+function moduleStyleFiles() {
+  const raw = safe(() => Array.from(game.modules.get(MOD_ID).styles ?? []), []);
+  return raw
+    .map(normalizeStyleEntry)
+    .filter(Boolean)
+    .map((s) => s.replace(/^\/?modules\/[^/]+\//, ""));
+}
+
+function findSheet(file) {
+  const tail = `/modules/${MOD_ID}/${file}`;
+  return safe(() => Array.from(document.styleSheets ?? []), []).find((s) => normalizeHrefForMatch(s.href ?? "").split("?")[0].endsWith(tail)) ?? null;
+}
+
+function staticSelector(selector) {
+  return selector.replace(DYNAMIC_PSEUDO_RE, "").trim() || "*";
+}
+
+/**
+ * First element of the probe matched by the selector (the probe root itself included), or null.
+ */
+function firstMatch(root, selector) {
+  const sel = staticSelector(selector);
+  return safe(() => (root.matches(sel) ? root : root.querySelector(sel)), null);
+}
+
+function firstMatchOfList(root, selectorList) {
+  return splitSelectorList(selectorList)
+    .map((sel) => firstMatch(root, sel))
+    .find(Boolean) ?? null;
+}
+
+/**
+ * Visible elements of the probe matched by any selector of the list.
+ */
+function visibleMatches(root, selector) {
+  const out = [];
+  for (const sel of splitSelectorList(selector)) {
+    const s = staticSelector(sel);
+    const found = safe(() => Array.from(root.querySelectorAll(s)), []);
+    if (safe(() => root.matches(s), false)) found.unshift(root);
+    for (const el of found) {
+      const r = el.getBoundingClientRect();
+      if (r.width > 0 || r.height > 0) out.push(el);
+    }
+  }
+  return out;
+}
+
+/**
+ * Activate the tab chain (outermost first) holding `el`; returns a function restoring the tab state.
+ */
+function activatePageOf(el) {
+  const chain = [];
+  for (let tab = el.closest(".tab[data-tab]"); tab; tab = tab.parentElement?.closest(".tab[data-tab]")) chain.unshift(tab);
+
+  const touched = new Map(); // tab element -> was active
+  for (const tab of chain) {
+    const siblings = Array.from(tab.parentElement?.children ?? []).filter((t) => t.matches(".tab[data-tab]"));
+    for (const t of siblings) {
+      if (!touched.has(t)) touched.set(t, t.classList.contains("active"));
+      t.classList.toggle("active", t === tab);
+    }
+  }
+
+  return {
+    page: chain.map((t) => t.dataset.tab).join("/") || null,
+    restore: () => touched.forEach((active, t) => t.classList.toggle("active", active))
+  };
+}
+
+/**
+ * Read every loaded module file: declared variables, rules and their variable references.
+ */
+function readModuleCss() {
+  const files = [];
+  const declared = new Map(); // name -> { file, selector, value }
+  const rules = []; // { file, selector, vars: string[] }
+
+  for (const file of moduleStyleFiles()) {
+    const sheet = findSheet(file);
+    const cssRules = sheet ? safe(() => sheet.cssRules, null) : null;
+    const list = cssRules ? flattenStyleRules(cssRules) : [];
+
+    files.push({ file, page: file.startsWith(PAGE_DIR), loaded: Boolean(cssRules), rules: list.length });
+
+    for (const rule of list) {
+      const selector = styleRuleSelector(rule);
+      const vars = new Set();
+      for (const { prop, value } of ruleDeclarations(rule)) {
+        if (prop.startsWith("--") && VAR_FILES.includes(file)) declared.set(prop, { file, selector, value });
+        for (const name of varReferences(value)) vars.add(name);
+      }
+      rules.push({ file, selector, vars: [...vars] });
+    }
+  }
+
+  return { files, declared, rules };
+}
+
+function syntheticProbe(splat) {
+  const win = document.createElement("div");
+  win.className = `app window-app wod20 wod-sheet langRU noSplatFont ${splat}`;
+  const content = document.createElement("section");
+  content.className = "window-content";
+  const inner = document.createElement("div");
+  inner.className = "sheet-inner-area";
+  content.append(inner);
+  win.append(content);
+  return win;
+}
+
+function actorTypeForSplat(splat, types) {
+  return types.find((t) => t.toLowerCase() === splat) ?? types.find((t) => t.toLowerCase().includes(splat)) ?? null;
+}
+
+/**
+ * Verify every declared variable, every sheet rule selector and every module CSS file.
+ *
+ * @returns {Promise<object>} report (also logged and kept for the diagnostics bundle)
+ */
+export async function cssVariableCheck() {
+  const { files, declared, rules } = readModuleCss();
+
+  const actorTypes = listActorTypes();
+  const known = listItemTypes();
+  const items = SAMPLE_ITEMS.filter((i) => known.has(i.type));
+
+  const splats = {};
+  const pageFiles = files.filter((f) => f.page).map((f) => f.file);
+  const pages = Object.fromEntries(pageFiles.map((file) => [file, {}])); // file -> splat -> result
+  const matchedRules = new Set(); // rule index
+  const resolved = new Map(); // var name -> { splat: value }
+
+  for (const splat of SPLATS) {
+    const actorType = actorTypeForSplat(splat, actorTypes);
+    let win = null;
+    let probeSheet = null;
+    let error = null;
+
+    if (actorType) {
+      try {
+        const { sheet, nodes } = await renderProbeSheet(actorType, items);
+        probeSheet = sheet;
+        win = buildSheetWindow(sheet, nodes, [splat]);
+      } catch (e) {
+        error = String(e);
+      }
+    }
+    win ??= syntheticProbe(splat);
+    splats[splat] = { actorType, synthetic: !actorType || Boolean(error), error };
+
+    mountHiddenProbe(win);
+    try {
+      // Where each variable is used in this probe (first matching rule wins).
+      const usedAt = new Map();
+      rules.forEach((rule, idx) => {
+        const el = firstMatchOfList(win, rule.selector);
+        if (!el) return;
+        matchedRules.add(idx);
+        for (const name of rule.vars) if (!usedAt.has(name)) usedAt.set(name, el);
+      });
+
+      // Page probes: the file's page active, its rules against laid-out elements only.
+      if (!splats[splat].synthetic) {
+        for (const file of pageFiles) {
+          const own = rules.map((r, idx) => ({ ...r, idx })).filter((r) => r.file === file);
+          const anchor = own.map((r) => firstMatchOfList(win, r.selector)).find((el) => el?.closest(".tab[data-tab]"));
+          const { page, restore } = anchor ? activatePageOf(anchor) : { page: null, restore: () => {} };
+          try {
+            let visible = 0;
+            for (const r of own) {
+              const els = visibleMatches(win, r.selector);
+              if (!els.length) continue;
+              visible++;
+              // Laid-out usage beats the default-state match for variable resolution.
+              for (const name of r.vars) if (!usedAt.has(name) || !usedAt.get(name).getClientRects().length) usedAt.set(name, els[0]);
+            }
+            pages[file][splat] = { page, rules: own.length, visible };
+          } finally {
+            restore();
+          }
+        }
+      }
+
+      for (const name of declared.keys()) {
+        const el = usedAt.get(name) ?? win;
+        const value = safe(() => getComputedStyle(el).getPropertyValue(name).trim(), "");
+        if (!resolved.has(name)) resolved.set(name, {});
+        resolved.get(name)[splat] = value;
+      }
+    } finally {
+      win.remove();
+      await closeProbeSheet(probeSheet);
+    }
+  }
+
+  const referenced = new Set(rules.flatMap((r) => r.vars));
+
+  const variables = [...declared].map(([name, d]) => {
+    const values = resolved.get(name) ?? {};
+    const unresolved = SPLATS.filter((s) => !values[s]);
+    return {
+      name,
+      file: d.file,
+      declared: d.value,
+      usedBy: rules.filter((r) => r.vars.includes(name)).length,
+      resolves: unresolved.length === 0,
+      unresolved
+    };
   });
+
+  const undeclared = [...referenced].filter((n) => /^--(wodru|ru)-/.test(n) && !declared.has(n)).sort();
+
+  for (const f of files) {
+    if (!SHEET_FILE_RE.test(f.file)) continue;
+    const unmatched = rules.filter((r, idx) => r.file === f.file && !matchedRules.has(idx)).map((r) => r.selector);
+    f.unmatchedCount = unmatched.length;
+    f.unmatched = unmatched.slice(0, MAX_UNMATCHED_PER_FILE);
+  }
+
+  const report = {
+    checkedAt: new Date().toISOString(),
+    splats,
+    files,
+    pages,
+    variables,
+    undeclared,
+    summary: {
+      variables: variables.length,
+      unresolved: variables.filter((v) => !v.resolves).map((v) => v.name),
+      unused: variables.filter((v) => !v.usedBy).map((v) => v.name),
+      undeclared: undeclared.length,
+      unmatchedSelectors: files.reduce((n, f) => n + (f.unmatchedCount ?? 0), 0),
+      failedFiles: files.filter((f) => !f.loaded).map((f) => f.file),
+      // Page files whose rules matched no laid-out element on any real splat sheet.
+      pagesWithoutEffect: pageFiles.filter((file) => {
+        const results = Object.values(pages[file]);
+        return results.length > 0 && results.every((r) => !r.visible);
+      }),
+      syntheticSplats: SPLATS.filter((s) => splats[s].synthetic)
+    }
+  };
+
+  lastVariableReport = report;
+
+  const problems = report.summary.unresolved.length || report.summary.failedFiles.length || undeclared.length;
+  (problems ? warn : info)("CSS variable check", report);
+  return report;
+}
+
+/**
+ * Result of the last cssVariableCheck run (null before the first run).
+ */
+export function getLastCssVariableReport() {
+  return lastVariableReport;
 }
@@ -0,0 +1,133 @@
+/**
+ * Format string validation: translated strings vs their English source.
+ *
+ * Why:
+ * - game.i18n.format() silently leaves "{name}" in place when a translator renames a token,
+ *   so a typo in ru.json only shows up as broken text during play.
+ *
+ * What is compared (as multisets, order does not matter):
+ * - placeholders: "{name}", "{0}"           (Foundry game.i18n.format tokens)
+ * - HTML tags:    "<b>", "</b>", "<br>"      (tag names only, attributes ignored)
+ * - Handlebars:   "{{value}}", "{{{html}}}"  (whitespace inside braces ignored)
+ *
+ * Sources:
+ * - lang/ru.json vs the active system English dictionary
+ * - every non-English module string file vs lang/module-en.json
+ */
+
+import { info, warn, MOD_ID } from "../logger/core.js";
+import { loadJson, getModuleI18nReport } from "../init-module.js";
+import { flattenStrings } from "../i18n/keys.js";
+import { loadSystemEnglish, loadModuleRuDictionary } from "../i18n/sources.js";
+
+const HANDLEBARS_RE = /\{\{\{?[^{}]*\}?\}\}/g;
+const PLACEHOLDER_RE = /\{([^{}\s]+)\}/g;
+// "<br>" and "<br/>" are the same tag for this check.
+const HTML_TAG_RE = /<(\/?)([a-zA-Z][\w-]*)[^>]*>/g;
+
+/**
+ * Extract comparable tokens of one string.
+ *
+ * @param {string} text
+ * @returns {{ placeholder: string[], html: string[], handlebars: string[] }}
+ */
+export function extractFormatTokens(text) {
+  const s = String(text ?? "");
+
+  const handlebars = (s.match(HANDLEBARS_RE) ?? []).map((t) => t.replace(/\s+/g, ""));
+  const rest = s.replace(HANDLEBARS_RE, "");
+
+  const placeholder = Array.from(rest.matchAll(PLACEHOLDER_RE), (m) => `{${m[1]}}`);
+  const html = Array.from(rest.matchAll(HTML_TAG_RE), (m) => `<${m[1]}${m[2].toLowerCase()}>`);
+
+  return { placeholder, html, handlebars };
+}
+
+function multisetDiff(expected, actual) {
+  const counts = new Map();
+  for (const t of expected) counts.set(t, (counts.get(t) ?? 0) + 1);
+  for (const t of actual) counts.set(t, (counts.get(t) ?? 0) - 1);
+
+  const missing = [];
+  const extra = [];
+  for (const [t, n] of counts) {
+    for (let i = 0; i < n; i++) missing.push(t);
+    for (let i = 0; i < -n; i++) extra.push(t);
+  }
+  return { missing, extra };
+}
+
+/**
+ * Pure comparison of two translation trees (keys present in both only).
+ *
+ * @param {object} en - English source tree
+ * @param {object} translated - translated tree
+ * @returns {Array<{ key: string, kind: "placeholder"|"html"|"handlebars", missing: string[], extra: string[] }>}
+ */
+export function validateFormatStrings(en, translated) {
+  const enFlat = flattenStrings(en);
+  const trFlat = flattenStrings(translated);
+  const out = [];
+
+  for (const [key, source] of Object.entries(enFlat)) {
+    if (!(key in trFlat)) continue;
+
+    const expected = extractFormatTokens(source);
+    const actual = extractFormatTokens(trFlat[key]);
+
+    for (const kind of ["placeholder", "html", "handlebars"]) {
+      const { missing, extra } = multisetDiff(expected[kind], actual[kind]);
+      if (missing.length || extra.length) out.push({ key, kind, missing, extra });
+    }
+  }
+
+  return out;
+}
+
+async function comparePair(label, loadEn, loadTranslated) {
+  try {
+    const [en, translated] = await Promise.all([loadEn(), loadTranslated()]);
+    return { label, mismatches: validateFormatStrings(en, translated) };
+  } catch (e) {
+    warn("Format string check: source load failed", { label, err: String(e) });
+    return { label, mismatches: null };
+  }
+}
+
+/**
+ * Load shipped dictionaries, validate them and log every mismatch with its key path.
+ *
+ * @param {{ reload?: boolean }} [opts]
+ * @returns {Promise<Array<{ label: string, mismatches: Array<object>|null }>>}
+ */
+export async function runFormatStringCheck(opts = {}) {
+  const reload = opts.reload === true;
+  const pairs = [
+    comparePair(
+      "lang/ru.json",
+      () => loadSystemEnglish({ reload }),
+      () => loadModuleRuDictionary({ reload })
+    )
+  ];
+
+  const files = getModuleI18nReport()?.files ?? {};
+  for (const [code, path] of Object.entries(files)) {
+    if (code === "en" || !files.en) continue;
+    pairs.push(comparePair(path, () => loadJson(files.en), () => loadJson(path)));
+  }
+
+  const results = await Promise.all(pairs);
+
+  for (const { label, mismatches } of results) {
+    for (const m of mismatches ?? []) {
+      warn(`Format string mismatch (${m.kind}) ${m.key}`, { file: label, missing: m.missing, extra: m.extra });
+    }
+  }
+
+  info("Format string check", {
+    module: MOD_ID,
+    files: results.map(({ label, mismatches }) => ({ file: label, mismatches: mismatches?.length ?? null }))
+  });
+
+  return results;
+}
@@ -0,0 +1,246 @@
+/**
+ * Sheet layout regression baselines.
+ *
+ * Why:
+ * - After a system or module update every splat's sheet had to be opened by hand to see whether
+ *   something shifted. A baseline records where the key structures are; later runs compare.
+ *
+ * How (the probe approach of cssProbeCheck in scripts/diagnostics/css-sanity.js, on whole sheets):
+ * - Per actor type, an offscreen sheet is rendered (scripts/diagnostics/probe-sheet.js) with probe
+ *   items so item lists have rows, wrapped like a real window (sheet classes + langRU/noSplatFont,
+ *   default width/height) and mounted hidden but laid out (mountHiddenProbe).
+ * - Each tab is activated in turn and the first visible match of every STRUCTURES selector is
+ *   measured relative to the window; "_sheet" holds structures outside any tab.
+ * - Baselines are kept per client (layout depends on fonts and browser) and can be downloaded or
+ *   imported as JSON.
+ *
+ * Comparison kinds per structure: moved, resized (beyond the tolerance in px), count, missing, added.
+ */
+
+import { MOD_ID, info, safe } from "../logger/core.js";
+import { mountHiddenProbe } from "./css-sanity.js";
+import { SAMPLE_ITEMS, buildSheetWindow, closeProbeSheet, listActorTypes, listItemTypes, renderProbeSheet } from "./probe-sheet.js";
+
+export const LAYOUT_BASELINE_SETTING = "layoutBaseline";
+export const BASELINE_FORMAT = "wodru-layout-baseline";
+export const DEFAULT_TOLERANCE_PX = 2;
+// 2: probe items get their own ids (renderProbeSheet). Version 1 baselines measured a single
+// collapsed item row and are not comparable.
+export const BASELINE_VERSION = 2;
+
+const SHEET_TAB = "_sheet";
+
+const STRUCTURES = {
+  innerArea: ".sheet-inner-area",
+  sheetHeadline: ".sheet-headline",
+  attributeHeadline: ".attribute-headlineWidth",
+  abilityHeadline: ".ability-headlineWidth",
+  healthHeadline: ".health-headlineWidth",
+  headlineRow: ".headlineRow",
+  nameColumn: ".item-row-area .width-namebox",
+  abilityColumn: ".item-row-area .width-abilitybox",
+  valueColumn: ".item-row-area .width-valuebox",
+  mediumColumn: ".item-row-area .width-mediumbox",
+  smallColumn: ".item-row-area .width-smallbox",
+  iconColumn: ".item-row-area .width-iconbox"
+};
+
+function px(v) {
+  return Math.round(Number(v) || 0);
+}
+
+function box(el, origin) {
+  const r = el.getBoundingClientRect();
+  return { x: px(r.left - origin.left), y: px(r.top - origin.top), w: px(r.width), h: px(r.height) };
+}
+
+function visible(el) {
+  const r = el.getBoundingClientRect();
+  return r.width > 0 || r.height > 0;
+}
+
+/**
+ * Measure every structure inside `scope` (elements matching `accept` only).
+ */
+function measureScope(scope, origin, accept) {
+  const out = {};
+  for (const [key, selector] of Object.entries(STRUCTURES)) {
+    const matches = Array.from(scope.querySelectorAll(selector)).filter((el) => accept(el) && visible(el));
+    if (matches.length) out[key] = { ...box(matches[0], origin), count: matches.length };
+  }
+  return out;
+}
+
+/**
+ * Lay out one actor type's sheet offscreen and measure it.
+ *
+ * @param {string} type
+ * @returns {Promise<Record<string, Record<string, { x: number, y: number, w: number, h: number, count: number }>>>}
+ */
+async function measureActorType(type, items) {
+  const { sheet, nodes } = await renderProbeSheet(type, items);
+
+  const win = mountHiddenProbe(buildSheetWindow(sheet, nodes));
+  try {
+    const origin = win.getBoundingClientRect();
+    const tabs = {};
+
+    tabs[SHEET_TAB] = measureScope(win, origin, (el) => !el.closest(".tab[data-tab]"));
+
+    // Top-level tabs only; nested tab groups keep their default state.
+    const tabEls = Array.from(win.querySelectorAll(".tab[data-tab]")).filter((t) => !t.parentElement?.closest(".tab[data-tab]"));
+    for (const tab of tabEls) {
+      for (const other of tabEls) other.classList.toggle("active", other === tab);
+      tabs[tab.dataset.tab] = measureScope(tab, origin, () => true);
+    }
+
+    return tabs;
+  } finally {
+    win.remove();
+    await closeProbeSheet(sheet);
+  }
+}
+
+/**
+ * Measure every actor type.
+ *
+ * @returns {Promise<object>} baseline-shaped snapshot
+ */
+export async function measureSheetLayouts() {
+  const known = listItemTypes();
+  const items = SAMPLE_ITEMS.filter((i) => known.has(i.type));
+
+  const actorTypes = {};
+  for (const type of listActorTypes()) {
+    try {
+      actorTypes[type] = { tabs: await measureActorType(type, items) };
+    } catch (e) {
+      actorTypes[type] = { error: String(e) };
+    }
+  }
+
+  return {
+    format: BASELINE_FORMAT,
+    version: BASELINE_VERSION,
+    createdAt: new Date().toISOString(),
+    foundryVersion: safe(() => game.version, null),
+    systemVersion: safe(() => game.system.version, null),
+    moduleVersion: safe(() => game.modules.get(MOD_ID)?.version, null),
+    viewport: { w: globalThis.innerWidth ?? null, h: globalThis.innerHeight ?? null },
+    items: items.map((i) => i.type),
+    actorTypes
+  };
+}
+
+export function getLayoutBaseline() {
+  const b = safe(() => game.settings.get(MOD_ID, LAYOUT_BASELINE_SETTING), null);
+  return b?.format === BASELINE_FORMAT && b.version >= BASELINE_VERSION ? b : null;
+}
+
+/**
+ * Store a baseline for this client (a fresh measurement unless one is given, e.g. imported).
+ *
+ * @param {object} [baseline]
+ * @returns {Promise<object>}
+ */
+export async function saveLayoutBaseline(baseline) {
+  const next = baseline ?? (await measureSheetLayouts());
+  if (next?.format !== BASELINE_FORMAT || typeof next.actorTypes !== "object") {
+    throw new Error(`Not a layout baseline (format "${BASELINE_FORMAT}" expected)`);
+  }
+  if (!(next.version >= BASELINE_VERSION)) {
+    throw new Error(`Layout baseline version ${next.version} is outdated (${BASELINE_VERSION} expected): record a new one`);
+  }
+
+  await game.settings.set(MOD_ID, LAYOUT_BASELINE_SETTING, next);
+  info("Layout baseline stored", { systemVersion: next.systemVersion, actorTypes: Object.keys(next.actorTypes) });
+  return next;
+}
+
+function diffStructure(before, after, tolerance) {
+  if (before && !after) return { kinds: ["missing"] };
+  if (!before && after) return { kinds: ["added"] };
+
+  const kinds = [];
+  if (Math.abs(after.x - before.x) > tolerance || Math.abs(after.y - before.y) > tolerance) kinds.push("moved");
+  if (Math.abs(after.w - before.w) > tolerance || Math.abs(after.h - before.h) > tolerance) kinds.push("resized");
+  if (after.count !== before.count) kinds.push("count");
+  return kinds.length ? { kinds } : null;
+}
+
+/**
+ * Compare two snapshots.
+ *
+ * @param {object} baseline
+ * @param {object} current
+ * @param {{ tolerance?: number }} [opts]
+ * @returns {{ tolerance: number, changed: number, actorTypes: Record<string, { status: string, error?: string, tabs: Record<string, object[]> }> }}
+ */
+export function compareLayouts(baseline, current, opts = {}) {
+  const tolerance = Number.isFinite(opts.tolerance) ? opts.tolerance : DEFAULT_TOLERANCE_PX;
+  const out = {};
+  let changed = 0;
+
+  const types = new Set([...Object.keys(baseline.actorTypes ?? {}), ...Object.keys(current.actorTypes ?? {})]);
+  for (const type of types) {
+    const b = baseline.actorTypes?.[type];
+    const c = current.actorTypes?.[type];
+
+    if (!c) {
+      out[type] = { status: "missing", tabs: {} };
+      continue;
+    }
+    if (!b) {
+      out[type] = { status: "new", tabs: {} };
+      continue;
+    }
+    if (b.error || c.error) {
+      out[type] = { status: "error", error: c.error ?? b.error, tabs: {} };
+      continue;
+    }
+
+    const tabs = {};
+    for (const tab of new Set([...Object.keys(b.tabs), ...Object.keys(c.tabs)])) {
+      const bt = b.tabs[tab] ?? {};
+      const ct = c.tabs[tab] ?? {};
+      const diffs = [];
+
+      for (const key of new Set([...Object.keys(bt), ...Object.keys(ct)])) {
+        const d = diffStructure(bt[key], ct[key], tolerance);
+        if (d) diffs.push({ key, selector: STRUCTURES[key] ?? null, ...d, before: bt[key] ?? null, after: ct[key] ?? null });
+      }
+
+      tabs[tab] = diffs;
+      changed += diffs.length;
+    }
+
+    const status = Object.values(tabs).some((d) => d.length) ? "changed" : "ok";
+    out[type] = { status, tabs };
+  }
+
+  return { tolerance, changed, actorTypes: out };
+}
+
+/**
+ * Measure now and compare with the stored baseline.
+ *
+ * @param {{ tolerance?: number }} [opts]
+ * @returns {Promise<object|null>} report (null when no baseline is stored)
+ */
+export async function runLayoutRegressionCheck(opts = {}) {
+  const baseline = getLayoutBaseline();
+  if (!baseline) return null;
+
+  const current = await measureSheetLayouts();
+  const report = {
+    baseline: { createdAt: baseline.createdAt, systemVersion: baseline.systemVersion, moduleVersion: baseline.moduleVersion },
+    current: { createdAt: current.createdAt, systemVersion: current.systemVersion, moduleVersion: current.moduleVersion },
+    ...compareLayouts(baseline, current, opts)
+  };
+
+  info("Layout regression check", {
+    changed: report.changed,
+    actorTypes: Object.fromEntries(Object.entries(report.actorTypes).map(([t, r]) => [t, r.status]))
+  });
+  return report;
+}
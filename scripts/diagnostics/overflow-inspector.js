@@ -0,0 +1,185 @@
+/**
+ * Text overflow / clipping scan for an open sheet (debug tooling).
+ *
+ * Why:
+ * - ru-vars.css widths are tuned by eye; long Russian labels get clipped in places nobody opens
+ *   until play. The scan finds them on the sheet as it is rendered right now.
+ *
+ * What counts as a hit:
+ * - a visible element with its own text (or a form field with a value) whose scrollWidth/scrollHeight
+ *   exceeds its client box on an axis that does not scroll by design (overflow auto/scroll is skipped).
+ * - Elements in inactive tabs have no box and are skipped: switch tabs and rescan.
+ *
+ * Variable guess:
+ * - Module stylesheets are read through CSSOM (declarations as written, shorthands included:
+ *   scripts/utils/css-rules.js); rules that use `var(--wodru-*)` are matched against the element
+ *   and its nearest ancestors. The closest match wins, size properties of the
+ *   overflowing axis first.
+ */
+
+import { MOD_ID, safe } from "../logger/core.js";
+import { flattenStyleRules, ruleDeclarations, styleRuleSelector, varReferences } from "../utils/css-rules.js";
+
+export const HIT_CLASS = "wodru-overflow-hit";
+export const FLASH_CLASS = "wodru-overflow-flash";
+
+// Ancestor levels considered for the variable guess (0 = the element itself).
+const MAX_DEPTH = 6;
+const PATH_SEGMENTS = 5;
+const TEXT_CHARS = 80;
+const VAR_FILTER = /^--wodru-/;
+
+const AXIS_PROPS = {
+  x: ["width", "min-width", "max-width", "flex", "flex-basis", "grid-template-columns"],
+  y: ["height", "min-height", "max-height", "line-height"]
+};
+
+function isModuleSheet(sheet) {
+  const href = safe(() => sheet.href, null);
+  return Boolean(href) && href.includes(`/modules/${MOD_ID}/`);
+}
+
+/**
+ * Module style rules that reference --wodru-* variables.
+ *
+ * @returns {Array<{ selector: string, decls: Array<{ prop: string, vars: string[] }> }>}
+ */
+export function collectVarRules() {
+  const out = [];
+
+  for (const sheet of Array.from(document.styleSheets ?? [])) {
+    if (!isModuleSheet(sheet)) continue;
+
+    for (const rule of flattenStyleRules(safe(() => sheet.cssRules, []))) {
+      const decls = [];
+      for (const { prop, value } of ruleDeclarations(rule)) {
+        const vars = varReferences(value, VAR_FILTER);
+        if (vars.length) decls.push({ prop, vars });
+      }
+      if (decls.length) out.push({ selector: styleRuleSelector(rule), decls });
+    }
+  }
+
+  return out;
+}
+
+/**
+ * Most likely --wodru-* variable for an element.
+ *
+ * @param {Element} el
+ * @param {ReturnType<typeof collectVarRules>} rules
+ * @param {"x"|"y"} axis
+ * @returns {{ variable: string, selector: string, property: string, depth: number } | null}
+ */
+export function guessVariable(el, rules, axis) {
+  let best = null;
+  let bestScore = Infinity;
+
+  let node = el;
+  for (let depth = 0; node instanceof Element && depth <= MAX_DEPTH; depth++, node = node.parentElement) {
+    for (const rule of rules) {
+      if (!safe(() => node.matches(rule.selector), false)) continue;
+
+      for (const decl of rule.decls) {
+        const axisRank = AXIS_PROPS[axis].indexOf(decl.prop);
+        // Same depth: properties of the overflowing axis first, then anything else.
+        const score = depth * 100 + (axisRank >= 0 ? axisRank : 50);
+        if (score < bestScore) {
+          bestScore = score;
+          best = { variable: decl.vars[0], selector: rule.selector, property: decl.prop, depth };
+        }
+      }
+    }
+    if (best && best.depth === depth) break;
+  }
+
+  return best;
+}
+
+function ownText(el) {
+  if (el instanceof HTMLInputElement || el instanceof HTMLTextAreaElement) return el.value ?? "";
+  if (el instanceof HTMLSelectElement) return el.selectedOptions?.[0]?.textContent ?? "";
+
+  let text = "";
+  for (const n of el.childNodes) if (n.nodeType === Node.TEXT_NODE) text += n.textContent;
+  return text.replace(/\s+/g, " ").trim();
+}
+
+/**
+ * Short selector path from the sheet root to the element.
+ *
+ * @param {Element} el
+ * @param {Element} root
+ * @returns {string}
+ */
+export function selectorPath(el, root) {
+  const parts = [];
+  for (let node = el; node && node !== root && parts.length < PATH_SEGMENTS; node = node.parentElement) {
+    let part = node.tagName.toLowerCase();
+    if (node.id) part += `#${node.id}`;
+    const classes = Array.from(node.classList).filter((c) => !c.startsWith("wodru-overflow"));
+    if (classes.length) part += `.${classes.slice(0, 2).join(".")}`;
+    parts.unshift(part);
+  }
+  return parts.join(" > ");
+}
+
+/**
+ * Find clipped text inside a sheet.
+ *
+ * @param {HTMLElement} root - sheet element
+ * @returns {Array<{ el: HTMLElement, text: string, path: string, dx: number, dy: number, guess: object|null }>}
+ */
+export function scanOverflow(root) {
+  const rules = collectVarRules();
+  const hits = [];
+
+  for (const el of root.querySelectorAll("*")) {
+    if (!(el instanceof HTMLElement)) continue;
+    if (!el.clientWidth && !el.clientHeight) continue;
+
+    const text = ownText(el);
+    if (!text) continue;
+
+    const style = getComputedStyle(el);
+    const scrollsX = /auto|scroll/.test(style.overflowX);
+    const scrollsY = /auto|scroll/.test(style.overflowY);
+
+    const dx = scrollsX ? 0 : el.scrollWidth - el.clientWidth;
+    const dy = scrollsY ? 0 : el.scrollHeight - el.clientHeight;
+    // 1px tolerance for sub-pixel rounding.
+    if (dx <= 1 && dy <= 1) continue;
+
+    hits.push({
+      el,
+      text: text.length > TEXT_CHARS ? `${text.slice(0, TEXT_CHARS)}…` : text,
+      path: selectorPath(el, root),
+      dx: Math.max(0, dx),
+      dy: Math.max(0, dy),
+      guess: guessVariable(el, rules, dx > 1 ? "x" : "y")
+    });
+  }
+
+  return hits;
+}
+
+/**
+ * Outline hits in place (previous marks are removed first).
+ *
+ * @param {HTMLElement} root
+ * @param {Array<{ el: HTMLElement }>} hits
+ */
+export function markOverflow(root, hits) {
+  clearOverflowMarks(root);
+  hits.forEach((h, i) => {
+    h.el.classList.add(HIT_CLASS);
+    h.el.dataset.wodruOverflow = String(i + 1);
+  });
+}
+
+export function clearOverflowMarks(root) {
+  for (const el of root?.querySelectorAll?.(`.${HIT_CLASS}`) ?? []) {
+    el.classList.remove(HIT_CLASS, FLASH_CLASS);
+    delete el.dataset.wodruOverflow;
+  }
+}
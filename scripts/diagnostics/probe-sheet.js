@@ -0,0 +1,105 @@
+/**
+ * Offscreen actor sheets for diagnostics (selector compatibility, layout baselines).
+ *
+ * A temporary actor (never saved) with probe items is created per actor type and its sheet HTML
+ * is rendered with _renderInner: the template runs exactly as for a real sheet, but no window opens.
+ * buildSheetWindow wraps that HTML like an open window so module CSS applies once it is mounted
+ * (mountHiddenProbe in scripts/diagnostics/css-sanity.js).
+ * Callers close every probe sheet with closeProbeSheet when done.
+ */
+
+import { debugNs, safe } from "../logger/core.js";
+
+/**
+ * Items with long RU-like names so item lists have filled rows (filter by listItemTypes before use).
+ */
+export const SAMPLE_ITEMS = [
+  { type: "Feature", name: "Проверочная особенность с длинным названием" },
+  { type: "Melee", name: "Проверочное оружие ближнего боя" },
+  { type: "Ranged", name: "Проверочное стрелковое оружие" },
+  { type: "Armor", name: "Проверочная броня" }
+];
+
+/**
+ * Actor types of the active system (without "base").
+ *
+ * @returns {string[]}
+ */
+export function listActorTypes() {
+  const types = safe(() => game.documentTypes?.Actor, null) ?? Object.keys(safe(() => game.system.documentTypes.Actor, {}) ?? {});
+  return types.filter((t) => t !== "base");
+}
+
+/**
+ * Item types of the active system.
+ *
+ * @returns {Set<string>}
+ */
+export function listItemTypes() {
+  return new Set(safe(() => game.documentTypes?.Item, null) ?? Object.keys(safe(() => game.system.documentTypes.Item, {}) ?? {}));
+}
+
+/**
+ * Render the inner sheet HTML of a temporary actor.
+ *
+ * Every item gets its own id: embedded items without one share the `null` key in actor.items
+ * and only the last of them would render.
+ *
+ * @param {string} type - actor type
+ * @param {object[]} items - embedded item data (types must exist, see listItemTypes)
+ * @returns {Promise<{ sheet: any, nodes: Node[] }>}
+ */
+export async function renderProbeSheet(type, items) {
+  const ActorClass = CONFIG.Actor.documentClass;
+  const withIds = items.map((i) => ({ ...i, _id: foundry.utils.randomID() }));
+  const actor = new ActorClass({ name: "wodru-probe", type, items: withIds });
+  const sheet = actor.sheet;
+
+  try {
+    const data = await sheet.getData();
+    const html = await sheet._renderInner(data);
+    return { sheet, nodes: html?.toArray?.() ?? [html] };
+  } catch (e) {
+    await closeProbeSheet(sheet);
+    throw e;
+  }
+}
+
+/**
+ * Release a probe sheet from renderProbeSheet (never opened, so closing is forced).
+ *
+ * @param {any} sheet
+ * @returns {Promise<void>}
+ */
+export async function closeProbeSheet(sheet) {
+  if (!sheet) return;
+  try {
+    await sheet.close({ force: true });
+  } catch (e) {
+    debugNs("probe", "probe sheet close failed", { err: String(e) });
+  }
+  safe(() => delete ui.windows[sheet.appId]);
+}
+
+/**
+ * Wrap rendered sheet HTML like an open V1 window: sheet classes plus the RU classes ru-width.js adds,
+ * default width/height as inline size. The element is not attached.
+ *
+ * @param {any} sheet
+ * @param {Node[]} nodes
+ * @param {string[]} [extraClasses]
+ * @returns {HTMLElement}
+ */
+export function buildSheetWindow(sheet, nodes, extraClasses = []) {
+  const win = document.createElement("div");
+  win.className = ["app", "window-app", ...(sheet?.options?.classes ?? []), "langRU", "noSplatFont", ...extraClasses].join(" ");
+  if (Number(sheet?.options?.width) > 0) win.style.width = `${sheet.options.width}px`;
+  if (Number(sheet?.options?.height) > 0) win.style.height = `${sheet.options.height}px`;
+
+  const content = document.createElement("section");
+  content.className = "window-content";
+  content.append(...nodes);
+  win.append(content);
+
+  return win;
+}
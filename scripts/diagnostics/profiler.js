@@ -0,0 +1,118 @@
+/**
+ * Opt-in profiler for module sheet hooks and patch functions.
+ *
+ * Why:
+ * - Several independent renderActorSheet listeners each query the DOM and defer work with
+ *   double requestAnimationFrame passes; on large sheets we need numbers, not guesses.
+ *
+ * How:
+ * - Hooks wrap their bodies in profile(name, app, fn). With the client setting off this is a plain
+ *   call (a single setting read), so instrumentation stays in place permanently.
+ * - Samples are kept per "<name>|<sheet class>" (last SAMPLE_LIMIT durations each).
+ * - Async functions are timed until their promise settles.
+ *
+ * Names in use: "<module>:hook" for the listener body, "<module>:<phase>" for deferred work
+ * (e.g. "notes-level:patch" runs after the double rAF).
+ */
+
+import { MOD_ID, info, safe } from "../logger/core.js";
+
+export const PROFILER_SETTING = "profiler";
+
+const SAMPLE_LIMIT = 500;
+
+/** @type {Map<string, { name: string, sheetClass: string, samples: number[], count: number, max: number }>} */
+const stats = new Map();
+
+export function isProfilerEnabled() {
+  return safe(() => game.settings.get(MOD_ID, PROFILER_SETTING) === true, false);
+}
+
+function clock() {
+  return globalThis.performance?.now?.() ?? Date.now();
+}
+
+function sheetClassOf(app) {
+  return safe(() => app?.constructor?.name, null) ?? "?";
+}
+
+function record(name, sheetClass, ms) {
+  const key = `${name}|${sheetClass}`;
+  let s = stats.get(key);
+  if (!s) {
+    s = { name, sheetClass, samples: [], count: 0, max: 0 };
+    stats.set(key, s);
+  }
+
+  s.count += 1;
+  s.max = Math.max(s.max, ms);
+  s.samples.push(ms);
+  if (s.samples.length > SAMPLE_LIMIT) s.samples.shift();
+}
+
+/**
+ * Run fn and record its duration when the profiler is enabled.
+ *
+ * @template T
+ * @param {string} name - "<module>:<phase>"
+ * @param {any} app - sheet instance (its class name groups the samples)
+ * @param {() => T} fn
+ * @returns {T}
+ */
+export function profile(name, app, fn) {
+  if (!isProfilerEnabled()) return fn();
+
+  const sheetClass = sheetClassOf(app);
+  const start = clock();
+  let result;
+  try {
+    result = fn();
+  } catch (e) {
+    record(name, sheetClass, clock() - start);
+    throw e;
+  }
+
+  if (typeof result?.then === "function") {
+    return result.finally(() => record(name, sheetClass, clock() - start));
+  }
+
+  record(name, sheetClass, clock() - start);
+  return result;
+}
+
+function percentile(sorted, p) {
+  if (!sorted.length) return 0;
+  const idx = Math.min(sorted.length - 1, Math.ceil((p / 100) * sorted.length) - 1);
+  return sorted[Math.max(0, idx)];
+}
+
+function round(ms) {
+  return Math.round(ms * 100) / 100;
+}
+
+/**
+ * Aggregated statistics, slowest p95 first.
+ * count and max cover every call; p50/p95 cover the retained samples.
+ *
+ * @returns {{ name: string, sheetClass: string, count: number, p50: number, p95: number, max: number }[]}
+ */
+export function getProfileReport() {
+  return Array.from(stats.values())
+    .map((s) => {
+      const sorted = [...s.samples].sort((a, b) => a - b);
+      return {
+        name: s.name,
+        sheetClass: s.sheetClass,
+        count: s.count,
+        p50: round(percentile(sorted, 50)),
+        p95: round(percentile(sorted, 95)),
+        max: round(s.max)
+      };
+    })
+    .sort((a, b) => b.p95 - a.p95 || a.name.localeCompare(b.name));
+}
+
+export function resetProfiler() {
+  stats.clear();
+  info("Profiler statistics reset");
+}
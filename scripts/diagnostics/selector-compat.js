@@ -0,0 +1,189 @@
+/**
+ * Selector compatibility check (GM only, at ready).
+ *
+ * Why:
+ * - Every DOM patch depends on system markup (`.item-row-area.feature-itemlist`, `.dragrow[data-itemid]`,
+ *   `.width-namebox`, ...) and on sheet methods (`_onRoll*Dialog`). A system update can rename them
+ *   and the patches then silently do nothing.
+ *
+ * How:
+ * - Requirements come from the sheet patchers (`requires` in scripts/hooks/sheet-patcher.js) plus
+ *   the static entries below for fixes that are not row patchers.
+ * - For every actor type a temporary actor with the probe items is created (never saved) and its
+ *   sheet HTML is rendered offscreen (scripts/diagnostics/probe-sheet.js, nothing is added to the page).
+ * - A feature counts as broken when it fails on every actor type that rendered; failures on some
+ *   types only are reported as partial (some splats have no such list).
+ * - Results are stored per system version in a world setting; the check re-runs only when the
+ *   system or module version or the check format changes (or on demand via the API).
+ *   A non-GM run through the API cannot write the setting: its result is kept in memory for
+ *   this session only.
+ */
+
+import { MOD_ID, info, warn, safe } from "../logger/core.js";
+import { listSheetPatchers } from "../hooks/sheet-patcher.js";
+import { closeProbeSheet, listActorTypes, listItemTypes, renderProbeSheet } from "./probe-sheet.js";
+
+export const SELECTOR_COMPAT_SETTING = "selectorCompat";
+
+// Results kept for this many system versions.
+const KEEP_VERSIONS = 5;
+
+// Bumped when the check itself changes; results of an older check are re-run at ready.
+// 2: probe items get ids (before, all but one collapsed and the item list selectors always failed).
+const CHECK_FORMAT = 2;
+
+// Results of non-GM runs (not stored), keyed by system version.
+const sessionResults = {};
+
+const STATIC_REQUIREMENTS = [{ feature: "widthNormalization", items: [], selectors: [".sheet-inner-area"] }];
+
+function listRequirements() {
+  const fromPatchers = listSheetPatchers()
+    .filter((p) => p.requires && p.feature)
+    .map((p) => ({ feature: p.feature, items: p.requires.items ?? [], selectors: p.requires.selectors ?? [], check: p.requires.check }));
+  return [...fromPatchers, ...STATIC_REQUIREMENTS];
+}
+
+/**
+ * Sheet HTML of a temporary actor, detached from the page.
+ */
+async function renderDetachedSheet(type, items) {
+  const { sheet, nodes } = await renderProbeSheet(type, items);
+  const root = document.createElement("div");
+  root.append(...nodes);
+  return { sheet, root };
+}
+
+/**
+ * Run the check now.
+ *
+ * @returns {Promise<object>} result (also stored in the world setting)
+ */
+export async function runSelectorCompatCheck() {
+  const requirements = listRequirements();
+  const knownItems = listItemTypes();
+
+  // Probe items of every requirement at once: one sheet render per actor type.
+  const missingItemTypes = new Set();
+  const probeItems = [];
+  for (const req of requirements) {
+    for (const item of req.items) {
+      if (!knownItems.has(item.type)) missingItemTypes.add(item.type);
+      else probeItems.push(item);
+    }
+  }
+
+  const actorTypes = listActorTypes();
+  const features = {};
+  const renderErrors = {};
+  let rendered = 0;
+
+  for (const req of requirements) features[req.feature] ??= { failures: [] };
+
+  for (const type of actorTypes) {
+    let probe;
+    try {
+      probe = await renderDetachedSheet(type, probeItems);
+      rendered += 1;
+    } catch (e) {
+      renderErrors[type] = String(e);
+      continue;
+    }
+
+    try {
+      for (const req of requirements) {
+        // Without its probe item the rows cannot render: report the item type, not every selector.
+        const missing = req.items.filter((i) => missingItemTypes.has(i.type)).map((i) => `item type ${i.type}`);
+        if (!missing.length) {
+          for (const sel of req.selectors) {
+            if (!safe(() => probe.root.querySelector(sel), null)) missing.push(sel);
+          }
+        }
+        const handler = req.check ? safe(() => req.check(probe.sheet), "check failed") : null;
+        if (handler) missing.push(handler);
+
+        if (missing.length) features[req.feature].failures.push({ actorType: type, missing: [...new Set(missing)] });
+      }
+    } finally {
+      await closeProbeSheet(probe.sheet);
+    }
+  }
+
+  for (const f of Object.values(features)) {
+    const failedTypes = new Set(f.failures.map((x) => x.actorType)).size;
+    f.ok = failedTypes === 0;
+    f.broken = rendered > 0 && failedTypes === rendered;
+  }
+
+  const result = {
+    format: CHECK_FORMAT,
+    systemVersion: safe(() => game.system.version, null),
+    moduleVersion: safe(() => game.modules.get(MOD_ID)?.version, null),
+    checkedAt: new Date().toISOString(),
+    actorTypes,
+    renderErrors,
+    features
+  };
+
+  if (safe(() => game.user?.isGM === true, false)) await storeResult(result);
+  else sessionResults[result.systemVersion] = result;
+  report(result);
+  return result;
+}
+
+async function storeResult(result) {
+  const stored = { ...(safe(() => game.settings.get(MOD_ID, SELECTOR_COMPAT_SETTING), {}) ?? {}) };
+  delete stored[result.systemVersion];
+  stored[result.systemVersion] = result;
+
+  // Insertion order = check order; drop the oldest versions.
+  const keys = Object.keys(stored);
+  for (const k of keys.slice(0, Math.max(0, keys.length - KEEP_VERSIONS))) delete stored[k];
+
+  await game.settings.set(MOD_ID, SELECTOR_COMPAT_SETTING, stored);
+}
+
+function report(result) {
+  const broken = Object.entries(result.features).filter(([, f]) => f.broken).map(([id]) => id);
+  const partial = Object.entries(result.features).filter(([, f]) => !f.ok && !f.broken).map(([id]) => id);
+
+  const data = { systemVersion: result.systemVersion, broken, partial, renderErrors: result.renderErrors, features: result.features };
+  if (broken.length || partial.length || Object.keys(result.renderErrors).length) warn("Selector compatibility check found problems", data);
+  else info("Selector compatibility check passed", data);
+
+  const failed = Object.keys(result.renderErrors).length;
+  if (failed) {
+    ui.notifications?.warn(game.i18n.format(`${MOD_ID}.compat.renderFailed`, { count: failed, total: result.actorTypes.length }));
+  }
+
+  if (!broken.length) return;
+
+  const names = broken.map((id) => game.i18n.localize(`${MOD_ID}.settings.features.${id}.name`)).join(", ");
+  ui.notifications?.warn(game.i18n.format(`${MOD_ID}.compat.broken`, { version: result.systemVersion ?? "?", features: names }), {
+    permanent: true
+  });
+}
+
+/**
+ * Stored results (plus this session's non-GM runs), keyed by system version.
+ *
+ * @returns {Record<string, object>}
+ */
+export function getSelectorCompatResults() {
+  return { ...(safe(() => game.settings.get(MOD_ID, SELECTOR_COMPAT_SETTING), {}) ?? {}), ...sessionResults };
+}
+
+Hooks.once("ready", async () => {
+  if (!safe(() => game.user?.isGM === true, false)) return;
+
+  const systemVersion = safe(() => game.system.version, null);
+  const moduleVersion = safe(() => game.modules.get(MOD_ID)?.version, null);
+  const previous = getSelectorCompatResults()[systemVersion];
+  if (previous?.moduleVersion === moduleVersion && previous?.format === CHECK_FORMAT) return;
+
+  try {
+    await runSelectorCompatCheck();
+  } catch (e) {
+    warn("Selector compatibility check failed to run", { err: String(e), stack: e?.stack ?? null });
+  }
+});
@@ -0,0 +1,448 @@
+/**
+ * Sheet DOM snapshot for bug reports (actor sheet header button, debug mode only).
+ *
+ * Why:
+ * - Layout bugs depend on the reporter's actor, fonts and screen; the module author cannot open
+ *   their world. A snapshot carries the rendered sheet as it looked on their client.
+ *
+ * What is captured:
+ * - the sheet window clone with current form values, classes and a selection of computed
+ *   layout/typography properties inlined per element (inherited properties only where they differ
+ *   from the parent, others only where they differ from a bare element of the same tag), so the
+ *   file reproduces the layout offline without Foundry or module CSS;
+ * - ::before/::after boxes with generated content (dots, separators, icons) as rules in the
+ *   document's <style>, keyed by a data-wodru-snap attribute;
+ * - backgrounds: colors and gradients;
+ * - viewport size, device pixel ratio, versions and the root classes in a metadata block.
+ *
+ * Not captured: images, including url() backgrounds (<img> becomes an empty placeholder of the same
+ * size, url() layers become none), scripts, event handlers, web and icon fonts (the font-family
+ * names remain; install them locally to compare glyph widths; icon glyphs show as boxes).
+ *
+ * Redaction (optional) masks the actor and owner names everywhere (text, values, title/alt/
+ * aria-label/data-tooltip), image path fields, plus biography, notes and free-text fields,
+ * letter by letter so text lengths stay the same.
+ */
+
+import { MOD_ID, info, isDebugEnabled, safe, warn } from "../logger/core.js";
+import { downloadText, fileStamp } from "../utils/files.js";
+
+const INHERITED_PROPS = [
+  "color",
+  "font-family",
+  "font-size",
+  "font-style",
+  "font-weight",
+  "font-stretch",
+  "letter-spacing",
+  "line-height",
+  "text-align",
+  "text-transform",
+  "white-space",
+  "word-break",
+  "overflow-wrap",
+  "visibility"
+];
+
+const OWN_PROPS = [
+  "display",
+  "position",
+  "top",
+  "right",
+  "bottom",
+  "left",
+  "float",
+  "box-sizing",
+  "width",
+  "height",
+  "min-width",
+  "min-height",
+  "max-width",
+  "max-height",
+  "margin-top",
+  "margin-right",
+  "margin-bottom",
+  "margin-left",
+  "padding-top",
+  "padding-right",
+  "padding-bottom",
+  "padding-left",
+  "border-top",
+  "border-right",
+  "border-bottom",
+  "border-left",
+  "border-radius",
+  "flex-direction",
+  "flex-wrap",
+  "flex-grow",
+  "flex-shrink",
+  "flex-basis",
+  "align-items",
+  "align-self",
+  "align-content",
+  "justify-content",
+  "order",
+  "grid-template-columns",
+  "grid-template-rows",
+  "grid-column",
+  "grid-row",
+  "row-gap",
+  "column-gap",
+  "overflow-x",
+  "overflow-y",
+  "text-overflow",
+  "vertical-align",
+  "text-indent",
+  "background-color",
+  "background-image",
+  "background-size",
+  "background-position",
+  "background-repeat",
+  "opacity",
+  "z-index"
+];
+
+// Free-text fields that may identify a character or a player.
+const REDACT_FIELDS = [
+  'input[name="name"]',
+  '[name^="system.bio"]',
+  '[name^="system.background"]',
+  '[name^="system.notes"]',
+  '[name*="player" i]',
+  '[name*="chronicle" i]',
+  "textarea",
+  ".editor-content",
+  ".ProseMirror"
+].join(", ");
+
+// Name-bearing attributes scrubbed by redaction.
+const REDACT_ATTRS = ["value", "title", "placeholder", "alt", "aria-label", "data-tooltip"];
+// Image path fields (file names often carry the character name).
+const REDACT_PATHS = 'input[name="img"], input[data-edit="img"], input[name$=".img"]';
+
+const PSEUDOS = ["::before", "::after"];
+const SNAP_ATTR = "data-wodru-snap";
+
+const EMPTY_IMAGE = "data:image/gif;base64,R0lGODlhAQABAAAAACH5BAEKAAEALAAAAAABAAEAAAICTAEAOw==";
+
+/**
+ * Mask letters (Cyrillic with "Ж", others with "X"), keep digits, spaces and punctuation.
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+export function maskText(text) {
+  return String(text ?? "").replace(/\p{L}/gu, (c) => (/[\u0400-\u04FF]/.test(c) ? "Ж" : "X"));
+}
+
+function escapeRegExp(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Names to mask in every text node: the actor and the users owning it.
+ */
+function identifyingNames(actor) {
+  const names = [actor?.name, actor?.prototypeToken?.name];
+  for (const user of safe(() => Array.from(game.users), [])) {
+    if (!user.isGM && safe(() => actor.testUserPermission(user, "OWNER"), false)) names.push(user.name);
+  }
+  return [...new Set(names.filter((n) => typeof n === "string" && n.trim().length > 1))].sort((a, b) => b.length - a.length);
+}
+
+const referenceStyles = new Map(); // tag -> { prop: value }
+let referenceHost = null;
+
+/**
+ * Computed values of a bare element of the same tag (no module or core CSS classes).
+ */
+function referenceStyle(tag) {
+  if (referenceStyles.has(tag)) return referenceStyles.get(tag);
+
+  if (!referenceHost) {
+    referenceHost = document.createElement("div");
+    referenceHost.style.cssText = "all: initial; position: absolute; left: -10000px; top: -10000px; visibility: hidden;";
+    document.body.appendChild(referenceHost);
+  }
+
+  const el = document.createElement(tag);
+  referenceHost.appendChild(el);
+  const cs = getComputedStyle(el);
+  const values = Object.fromEntries(OWN_PROPS.map((p) => [p, cs.getPropertyValue(p)]));
+  el.remove();
+
+  referenceStyles.set(tag, values);
+  return values;
+}
+
+function releaseReferenceHost() {
+  referenceHost?.remove();
+  referenceHost = null;
+  referenceStyles.clear();
+}
+
+/**
+ * Value usable offline: url() image layers cannot load from the file.
+ */
+function offlineValue(prop, value) {
+  return prop === "background-image" ? value.replace(/url\((?:"[^"]*"|'[^']*'|[^)]*)\)/g, "none") : value;
+}
+
+/**
+ * Rules for an element's ::before/::after boxes with generated content (all properties: few boxes).
+ */
+function pseudoRules(el, id) {
+  const out = [];
+  for (const pseudo of PSEUDOS) {
+    const cs = getComputedStyle(el, pseudo);
+    const content = cs.getPropertyValue("content");
+    if (!content || content === "none" || content === "normal") continue;
+
+    const decls = [`content: ${content}`];
+    for (const prop of [...INHERITED_PROPS, ...OWN_PROPS]) decls.push(`${prop}: ${offlineValue(prop, cs.getPropertyValue(prop))}`);
+    out.push(`[${SNAP_ATTR}="${id}"]${pseudo} { ${decls.join("; ")}; }`);
+  }
+  return out;
+}
+
+/**
+ * Inline style text for one element: only what the offline copy would otherwise lose.
+ */
+function inlineStyleFor(el, parentStyle) {
+  const cs = getComputedStyle(el);
+  const ref = referenceStyle(el.tagName.toLowerCase());
+  const parts = [];
+
+  for (const prop of INHERITED_PROPS) {
+    const v = cs.getPropertyValue(prop);
+    if (!parentStyle || parentStyle.getPropertyValue(prop) !== v) parts.push(`${prop}: ${v}`);
+  }
+  for (const prop of OWN_PROPS) {
+    const v = cs.getPropertyValue(prop);
+    if (v !== ref[prop]) parts.push(`${prop}: ${offlineValue(prop, v)}`);
+  }
+
+  return parts.join("; ");
+}
+
+/**
+ * Copy live form state into attributes (cloneNode keeps attributes, not current values).
+ */
+function freezeFormState(src, dst) {
+  if (src instanceof HTMLInputElement) {
+    if (src.type === "checkbox" || src.type === "radio") dst.toggleAttribute("checked", src.checked);
+    else dst.setAttribute("value", src.value ?? "");
+  } else if (src instanceof HTMLTextAreaElement) {
+    dst.textContent = src.value ?? "";
+  } else if (src instanceof HTMLSelectElement) {
+    Array.from(dst.options).forEach((o, i) => o.toggleAttribute("selected", src.options[i]?.selected === true));
+  }
+}
+
+function stripActive(dst) {
+  for (const attr of Array.from(dst.attributes)) {
+    if (/^on/i.test(attr.name)) dst.removeAttribute(attr.name);
+  }
+  if (dst instanceof HTMLImageElement) {
+    dst.setAttribute("src", EMPTY_IMAGE);
+    dst.removeAttribute("srcset");
+  }
+}
+
+/**
+ * Mask names and free text in the clone; css (::before/::after rules) is masked in place, since
+ * computed content has attr() already resolved.
+ */
+function redactClone(root, css, names) {
+  const nameRe = names.length ? new RegExp(names.map(escapeRegExp).join("|"), "g") : null;
+
+  if (nameRe) {
+    const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+    for (let n = walker.nextNode(); n; n = walker.nextNode()) {
+      n.textContent = n.textContent.replace(nameRe, (m) => maskText(m));
+    }
+    for (const el of root.querySelectorAll(REDACT_ATTRS.map((a) => `[${a}]`).join(", "))) {
+      for (const attr of REDACT_ATTRS) {
+        const v = el.getAttribute(attr);
+        if (v) el.setAttribute(attr, v.replace(nameRe, (m) => maskText(m)));
+      }
+    }
+    for (let i = 0; i < css.length; i++) css[i] = css[i].replace(nameRe, (m) => maskText(m));
+  }
+
+  for (const el of root.querySelectorAll(REDACT_PATHS)) el.setAttribute("value", maskText(el.getAttribute("value")));
+
+  for (const el of root.querySelectorAll(REDACT_FIELDS)) {
+    if (el instanceof HTMLInputElement) el.setAttribute("value", maskText(el.getAttribute("value")));
+    else if (el instanceof HTMLTextAreaElement) el.textContent = maskText(el.textContent);
+    else {
+      const walker = document.createTreeWalker(el, NodeFilter.SHOW_TEXT);
+      for (let n = walker.nextNode(); n; n = walker.nextNode()) n.textContent = maskText(n.textContent);
+    }
+  }
+}
+
+/**
+ * Clone the sheet window with inlined styles and frozen form state.
+ *
+ * @returns {{ clone: HTMLElement, css: string[] }} css: ::before/::after rules
+ */
+function cloneWithStyles(root) {
+  const clone = root.cloneNode(true);
+  const css = [];
+
+  const src = [root, ...root.querySelectorAll("*")];
+  const dst = [clone, ...clone.querySelectorAll("*")];
+
+  src.forEach((el, i) => {
+    const copy = dst[i];
+    if (!copy) return;
+
+    if (copy.tagName === "SCRIPT" || copy.tagName === "IFRAME") {
+      copy.replaceWith(document.createComment(copy.tagName.toLowerCase()));
+      return;
+    }
+
+    const parentStyle = el === root ? null : getComputedStyle(el.parentElement);
+    copy.setAttribute("style", inlineStyleFor(el, parentStyle));
+    freezeFormState(el, copy);
+    stripActive(copy);
+
+    const rules = pseudoRules(el, i);
+    if (rules.length) {
+      copy.setAttribute(SNAP_ATTR, String(i));
+      css.push(...rules);
+    }
+  });
+
+  // Pin the window at the page origin; its size stays as computed.
+  clone.style.position = "relative";
+  clone.style.left = "0px";
+  clone.style.top = "0px";
+  clone.style.margin = "0px";
+
+  return { clone, css };
+}
+
+function escapeHtml(s) {
+  return String(s ?? "").replace(/[&<>"]/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;" })[c]);
+}
+
+/**
+ * Serialize an open actor sheet as a self-contained HTML document.
+ *
+ * @param {any} sheet - rendered actor sheet (V1)
+ * @param {{ redact?: boolean }} [opts]
+ * @returns {string}
+ */
+export function captureSheetSnapshot(sheet, opts = {}) {
+  const root = sheet?.element?.[0];
+  if (!root?.isConnected) throw new Error("Sheet is not rendered");
+
+  const redact = opts.redact === true;
+  const rect = root.getBoundingClientRect();
+
+  let clone;
+  let css;
+  try {
+    ({ clone, css } = cloneWithStyles(root));
+  } finally {
+    releaseReferenceHost();
+  }
+  if (redact) redactClone(clone, css, identifyingNames(sheet.actor));
+
+  const meta = {
+    module: MOD_ID,
+    moduleVersion: safe(() => game.modules.get(MOD_ID)?.version, null),
+    foundryVersion: safe(() => game.version, null),
+    system: safe(() => game.system.id, null),
+    systemVersion: safe(() => game.system.version, null),
+    language: safe(() => game.i18n.lang, null),
+    capturedAt: new Date().toISOString(),
+    sheetClass: sheet?.constructor?.name ?? null,
+    actorType: safe(() => sheet.actor.type, null),
+    classes: Array.from(root.classList),
+    size: { w: Math.round(rect.width), h: Math.round(rect.height) },
+    viewport: { w: globalThis.innerWidth ?? null, h: globalThis.innerHeight ?? null, dpr: globalThis.devicePixelRatio ?? 1 },
+    fonts: Array.from(new Set(safe(() => Array.from(document.fonts).filter((f) => f.status === "loaded").map((f) => f.family), []))),
+    userAgent: safe(() => navigator.userAgent, null),
+    redacted: redact
+  };
+
+  const title = redact ? maskText(sheet.title ?? "") : (sheet.title ?? "");
+  // JSON inside <script> must not close the tag.
+  const metaJson = JSON.stringify(meta, null, 2).replace(/</g, "\\u003c");
+
+  return `<!DOCTYPE html>
+<html lang="${escapeHtml(meta.language ?? "en")}">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(`WoD20 RU snapshot: ${title}`)}</title>
+<script type="application/json" id="wodru-snapshot-meta">
+${metaJson}
+</script>
+<style>
+  html, body { margin: 0; padding: 0; background: #e8e4dc; }
+  .wodru-snapshot-info { font: 12px/1.4 monospace; padding: 6px 10px; background: #222; color: #ddd; }
+  .wodru-snapshot-stage { padding: 16px; }
+${css.join("\n").replace(/</g, "\\3c ")}
+</style>
+</head>
+<body>
+<div class="wodru-snapshot-info">${escapeHtml(
+    `${meta.sheetClass} · ${meta.actorType} · ${meta.size.w}×${meta.size.h} · viewport ${meta.viewport.w}×${meta.viewport.h} @${meta.viewport.dpr}x · ` +
+      `Foundry ${meta.foundryVersion} · ${meta.system} ${meta.systemVersion} · ${MOD_ID} ${meta.moduleVersion} · ${meta.capturedAt}` +
+      (redact ? " · redacted" : "")
+  )}</div>
+<div class="wodru-snapshot-stage">
+${clone.outerHTML}
+</div>
+</body>
+</html>
+`;
+}
+
+/**
+ * Capture and download.
+ *
+ * @param {any} sheet
+ * @param {{ redact?: boolean }} [opts]
+ */
+export function downloadSheetSnapshot(sheet, opts = {}) {
+  const html = captureSheetSnapshot(sheet, opts);
+  const type = safe(() => sheet.actor.type, "actor");
+  downloadText(html, "text/html", `wodru-sheet-${type}-${fileStamp()}.html`);
+  info("Sheet snapshot downloaded", { sheetClass: sheet?.constructor?.name ?? null, bytes: html.length, redacted: opts.redact === true });
+}
+
+async function askAndDownload(sheet) {
+  const DialogV2 = foundry.applications.api.DialogV2;
+  const choice = await DialogV2.wait({
+    window: { title: game.i18n.localize(`${MOD_ID}.snapshot.title`) },
+    content: `<p>${game.i18n.localize(`${MOD_ID}.snapshot.hint`)}</p>`,
+    buttons: [
+      { action: "redact", label: game.i18n.localize(`${MOD_ID}.snapshot.redacted`), icon: "fas fa-user-secret", default: true },
+      { action: "plain", label: game.i18n.localize(`${MOD_ID}.snapshot.plain`), icon: "fas fa-file-code" }
+    ],
+    rejectClose: false
+  });
+  if (!choice) return;
+
+  try {
+    downloadSheetSnapshot(sheet, { redact: choice === "redact" });
+  } catch (e) {
+    warn("Sheet snapshot failed", { err: String(e), stack: e?.stack ?? null });
+    ui.notifications?.error(game.i18n.localize(`${MOD_ID}.snapshot.failed`));
+  }
+}
+
+Hooks.on("getActorSheetHeaderButtons", (sheet, buttons) => {
+  if (!isDebugEnabled()) return;
+
+  buttons.unshift({
+    label: game.i18n.localize(`${MOD_ID}.snapshot.button`),
+    class: "wodru-snapshot-open",
+    icon: "fas fa-camera",
+    onclick: () => askAndDownload(sheet)
+  });
+});
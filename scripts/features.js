@@ -0,0 +1,67 @@
+/**
+ * Feature registry: one world/client setting per sheet fix.
+ *
+ * Why:
+ * - When a single hook misbehaves after a system update, it can be switched off
+ *   without disabling the whole module (and losing every other layout fix).
+ *
+ * How:
+ * - settings.js registers one Boolean setting per entry of FEATURES.
+ * - Each hook checks isFeatureEnabled(<id>) before patching anything.
+ * - Toggling re-renders open sheets (and re-prepares actors for data patches),
+ *   so the change takes effect without a reload.
+ */
+
+import { MOD_ID, safe, info } from "./logger/core.js";
+import { rerenderOpenSheets } from "./utils/render.js";
+
+/**
+ * @type {Record<string, { scope: "world"|"client", actors?: boolean }>}
+ * - actors: feature changes prepared actor data (actors are reset on toggle)
+ */
+export const FEATURES = {
+  combatFullText: { scope: "world" },
+  notesRollable: { scope: "world" },
+  notesLevel: { scope: "world" },
+  jumpOverride: { scope: "world", actors: true },
+  checkboxLayout: { scope: "world" },
+  sheetPosition: { scope: "client" },
+  widthNormalization: { scope: "world" }
+};
+
+/**
+ * Setting key of a feature ("combatFullText" -> "featureCombatFullText").
+ *
+ * @param {string} id
+ * @returns {string}
+ */
+export function featureSettingKey(id) {
+  return `feature${id.charAt(0).toUpperCase()}${id.slice(1)}`;
+}
+
+/**
+ * Whether a feature is enabled (unknown ids and unreadable settings count as enabled,
+ * so the fixes keep working before settings are ready).
+ *
+ * @param {string} id
+ * @returns {boolean}
+ */
+export function isFeatureEnabled(id) {
+  if (!(id in FEATURES)) return true;
+  return safe(() => game.settings.get(MOD_ID, featureSettingKey(id)), true) !== false;
+}
+
+/**
+ * Apply a feature toggle to what is already on screen.
+ *
+ * @param {string} id
+ * @param {boolean} enabled
+ */
+export function onFeatureToggled(id, enabled) {
+  if (FEATURES[id]?.actors) {
+    for (const actor of safe(() => Array.from(game.actors ?? []), []) ?? []) safe(() => actor.reset());
+  }
+
+  const count = rerenderOpenSheets({ reason: featureSettingKey(id) });
+  info("Feature toggled", { feature: id, enabled, rerendered: count });
+}
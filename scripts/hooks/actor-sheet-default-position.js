@@ -1,4 +1,6 @@
 import { MOD_ID, debugNs, warn, error, info } from "../logger/core.js";
+import { isFeatureEnabled } from "../features.js";
+import { profile } from "../diagnostics/profiler.js";
 
 const NS = "sheet:position";
 
@@ -29,25 +31,28 @@ function d(msg, data) {
 }
 
 export function registerActorSheetDefaultPositionHook() {
-  Hooks.on("renderActorSheet", (app, html) => {
-    try {
-      const sheetClass = String(app?.constructor?.name ?? "ActorSheet");
-      if (!sheetClass.includes("ActorSheet")) return;
+  Hooks.on("renderActorSheet", (app, html) => profile("sheet-position:hook", app, () => onRenderActorSheet(app, html)));
 
-      wrapSetPosition(app, sheetClass);
+  info("Registered persistent ActorSheet default position hook");
+}
 
-      const schedule = globalThis.requestAnimationFrame ?? ((fn) => setTimeout(fn, 0));
-      schedule(() => {
-        applySavedOrHardDefault(app, sheetClass, html).catch((e) => {
-          warn("applySavedOrHardDefault failed", { sheetClass, err: String(e), stack: e?.stack ?? null });
-        });
-      });
-    } catch (e) {
-      error("renderActorSheet hook failed", { err: String(e), stack: e?.stack ?? null });
-    }
-  });
+function onRenderActorSheet(app, html) {
+  try {
+    const sheetClass = String(app?.constructor?.name ?? "ActorSheet");
+    if (!sheetClass.includes("ActorSheet")) return;
+    if (!isFeatureEnabled("sheetPosition")) return;
 
-  info("Registered persistent ActorSheet default position hook");
+    wrapSetPosition(app, sheetClass);
+
+    const schedule = globalThis.requestAnimationFrame ?? ((fn) => setTimeout(fn, 0));
+    schedule(() => {
+      profile("sheet-position:apply", app, () => applySavedOrHardDefault(app, sheetClass, html)).catch((e) => {
+        warn("applySavedOrHardDefault failed", { sheetClass, err: String(e), stack: e?.stack ?? null });
+      });
+    });
+  } catch (e) {
+    error("renderActorSheet hook failed", { err: String(e), stack: e?.stack ?? null });
+  }
 }
 
 async function applySavedOrHardDefault(app, sheetClass, html) {
@@ -163,8 +168,15 @@ function wrapSetPosition(app, sheetClass) {
   let timer = null;
 
   app.setPosition = function wrappedSetPosition(position) {
+    return profile("sheet-position:setPosition", app, () => persistAfter(position));
+  };
+
+  function persistAfter(position) {
     const result = original(position);
 
+    // Wrapper stays on the instance; do not persist while the feature is off.
+    if (!isFeatureEnabled("sheetPosition")) return result;
+
     try {
       if (timer) clearTimeout(timer);
 
@@ -202,7 +214,7 @@ function wrapSetPosition(app, sheetClass) {
     }
 
     return result;
-  };
+  }
 
   d("Wrapped setPosition for persistence", { sheetClass });
 }
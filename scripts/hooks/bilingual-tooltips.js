@@ -0,0 +1,109 @@
+/**
+ * Bilingual hover tooltips (optional, client setting "bilingualTooltips").
+ *
+ * For localized labels on actor sheets, item sheets and roll dialogs, add a tooltip with
+ * the original English string and its i18n key, e.g.:
+ *   «Сообразительность» -> "Wits · wod.attributes.wits"
+ *
+ * How labels are found:
+ * - Walk text nodes of the rendered application.
+ * - Reverse-resolve the node text against lang/ru.json + the system English file
+ *   (scripts/i18n/reverse-index.js).
+ * - Put the tooltip on the text's parent element, unless it already has one.
+ *
+ * Scope:
+ * - Only when RU adaptation is active (same rule as ru-width.js).
+ * - Tooltips are removed by re-rendering (we never strip existing attributes).
+ */
+
+import { MOD_ID, debugNs, safe, error } from "../logger/core.js";
+import { isRuActive } from "../ru-width.js";
+import { getReverseIndex, normalizeLabel } from "../i18n/reverse-index.js";
+
+const NS = "bilingual-tooltips";
+
+export const TOOLTIP_SETTING = "bilingualTooltips";
+
+const DATASET_MARK = "wodruBilingual";
+
+// Do not decorate text inside form controls / scripts.
+const SKIP_PARENTS = "script, style, textarea, select, option";
+
+function isEnabled() {
+  return safe(() => game.settings.get(MOD_ID, TOOLTIP_SETTING), false) === true;
+}
+
+function afterStableLayout(fn) {
+  requestAnimationFrame(() => requestAnimationFrame(fn));
+}
+
+/**
+ * Actor sheets, item sheets and WoD roll dialogs.
+ */
+function isTargetApp(app, root) {
+  if (app?.actor && String(app?.constructor?.name ?? "").includes("ActorSheet")) return true;
+  if (app?.item && String(app?.constructor?.name ?? "").includes("ItemSheet")) return true;
+  return Boolean(root?.classList?.contains("wod-dialog")) || String(app?.constructor?.name ?? "").includes("Dialog");
+}
+
+/**
+ * Tooltip text for a set of candidate keys.
+ *
+ * @param {Array<{ key: string, en: string|null }>} hits
+ * @returns {string}
+ */
+function tooltipText(hits) {
+  const en = [...new Set(hits.map((h) => h.en).filter(Boolean))];
+  const keys = hits.map((h) => h.key);
+
+  const keyPart = keys.length > 2 ? `${keys.slice(0, 2).join(", ")} (+${keys.length - 2})` : keys.join(", ");
+  return en.length ? `${en.join(" / ")} · ${keyPart}` : keyPart;
+}
+
+function decorate(root, index) {
+  let tagged = 0;
+  let scanned = 0;
+
+  const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+  for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+    const parent = node.parentElement;
+    if (!parent || parent.closest(SKIP_PARENTS)) continue;
+    if (parent.dataset?.[DATASET_MARK] === "1") continue;
+    if (parent.hasAttribute("data-tooltip") || parent.hasAttribute("title")) continue;
+
+    const text = normalizeLabel(node.textContent);
+    if (text.length < 2) continue;
+    scanned += 1;
+
+    const hits = index.get(text);
+    if (!hits?.length) continue;
+
+    parent.setAttribute("data-tooltip", tooltipText(hits));
+    parent.dataset[DATASET_MARK] = "1";
+    tagged += 1;
+  }
+
+  return { scanned, tagged };
+}
+
+Hooks.on("renderApplication", (app, html) => {
+  try {
+    if (!isEnabled() || !isRuActive()) return;
+
+    const root = /** @type {HTMLElement|null} */ (html?.[0] ?? html);
+    if (!root || !(root instanceof HTMLElement)) return;
+    if (!isTargetApp(app, root)) return;
+
+    getReverseIndex()
+      .then((index) => {
+        afterStableLayout(() => {
+          if (!root.isConnected) return;
+          const r = decorate(root, index);
+          debugNs(NS, "tooltips applied", { sheetClass: app?.constructor?.name ?? null, ...r });
+        });
+      })
+      .catch((e) => error(`[${NS}] index build failed`, { err: String(e), stack: e?.stack ?? null }));
+  } catch (e) {
+    error(`[${NS}] hook error`, { err: String(e), stack: e?.stack ?? null });
+  }
+});
@@ -0,0 +1,318 @@
+/**
+ * WoD roll chat cards (RU): post-process rendered roll messages.
+ *
+ * Problem:
+ * - System roll messages mix localized labels with English fragments built in JS
+ *   and show bare numbers ("Successes: 3"), which reads poorly in Russian.
+ *
+ * What we do (DOM post-processing only, message data is never changed):
+ * 1) Replace English fragments that exactly match `wod.dice.*` / `wod.dialog.*` English strings
+ *    with their RU translations (also "Label:" prefixes).
+ * 2) Prepend a compact summary block built from the message Roll data:
+ *    - dice pool composition (count with plural form + individual d10 results)
+ *    - difficulty
+ *    - successes with correct plural form, or botch / failure state
+ *
+ * Roll data rules (WoD20):
+ * - Difficulty is read from the roll terms (`cs>=N`), message flags or the rendered text.
+ * - Successes and state come from the system's own result first (message flags, then the rendered
+ *   successes count and botch/failure labels): it knows specialties (10s count twice) and
+ *   willpower, so the summary never disagrees with the card below it.
+ * - Only when the system result is not available: successes = dice >= difficulty minus ones;
+ *   botch = no successes rolled and at least one 1.
+ *
+ * Scope:
+ * - RU only (same rule as ru-width.js), worldofdarkness system only.
+ * - System roll cards only (isWodRollMessage): a d10 success pool (`cs` modifier), system flags or
+ *   system-built card markup in message.content. Initiative and plain `/roll 1d10` are left alone.
+ * - Fragments are translated inside the system card markup only: the core dice tooltip/formula and
+ *   flavor (player-written text) are skipped.
+ * - Idempotent per message element.
+ */
+
+import { debugNs, safe, error } from "../logger/core.js";
+import { isRuActive } from "../ru-width.js";
+import { flattenStrings, getTranslation } from "../i18n/keys.js";
+import { getLayersRevision } from "../i18n/layers.js";
+import { formatPlural } from "../i18n/plural.js";
+
+const NS = "chat-roll";
+
+const SYSTEM_ID = "worldofdarkness";
+const DATASET_PATCHED = "wodruRollCard";
+
+// Core roll markup and player-written text inside a message: never translated.
+const SKIP_TEXT_SELECTOR = ".dice-roll, .dice-formula, .dice-tooltip, .dice-total, .flavor-text, .message-flavor, .wodru-roll-card";
+
+// System dictionary sections whose English fragments we translate in chat.
+const PHRASE_SECTIONS = ["wod.dice", "wod.dialog"];
+
+let phraseCache = null; // { revision, map }
+
+function loc(key) {
+  return safe(() => game.i18n.localize(key), key);
+}
+
+function englishOf(key) {
+  return getTranslation(safe(() => game.i18n._fallback, {}) ?? {}, key);
+}
+
+/**
+ * EN -> RU phrase map for the configured sections (cached per translation layers revision).
+ *
+ * @returns {Map<string, string>}
+ */
+function phraseMap() {
+  const revision = getLayersRevision();
+  if (phraseCache?.revision === revision) return phraseCache.map;
+
+  const map = new Map();
+  const fallback = safe(() => game.i18n._fallback, {}) ?? {};
+  const store = safe(() => game.i18n.translations, {}) ?? {};
+
+  for (const section of PHRASE_SECTIONS) {
+    const enSection = flattenStrings(getSection(fallback, section), section);
+    for (const [key, en] of Object.entries(enSection)) {
+      const ru = getTranslation(store, key);
+      if (ru && ru !== en && en.trim()) map.set(en.trim(), ru);
+    }
+  }
+
+  phraseCache = { revision, map };
+  return map;
+}
+
+function getSection(tree, path) {
+  let cur = tree;
+  for (const part of path.split(".")) cur = cur?.[part];
+  return cur && typeof cur === "object" ? cur : {};
+}
+
+/**
+ * Replace English fragments in text nodes ("Successes" / "Successes:" / "Successes: 3").
+ * Only text inside the system card's elements: loose text directly under the message content,
+ * core roll markup and flavor are skipped (SKIP_TEXT_SELECTOR).
+ */
+function translateFragments(root, map) {
+  let replaced = 0;
+
+  const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+  for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+    const parent = node.parentElement;
+    if (!parent || parent === root || parent.closest(SKIP_TEXT_SELECTOR)) continue;
+
+    const raw = node.textContent ?? "";
+    const text = raw.trim();
+    if (!text) continue;
+
+    if (map.has(text)) {
+      node.textContent = raw.replace(text, map.get(text));
+      replaced += 1;
+      continue;
+    }
+
+    const m = text.match(/^(.+?)(\s*:\s*.*)$/);
+    if (m && map.has(m[1].trim())) {
+      node.textContent = raw.replace(m[1], map.get(m[1].trim()));
+      replaced += 1;
+    }
+  }
+
+  return replaced;
+}
+
+/**
+ * d10 results of all rolls in a message.
+ */
+function d10Results(message) {
+  const out = [];
+  for (const roll of safe(() => message.rolls ?? [], []) ?? []) {
+    for (const die of safe(() => roll.dice ?? [], []) ?? []) {
+      if (die?.faces !== 10) continue;
+      for (const r of die.results ?? []) {
+        if (r?.active === false || r?.discarded) continue;
+        out.push(Number(r.result));
+      }
+    }
+  }
+  return out;
+}
+
+/**
+ * Find "<label>: <number>" in rendered text for any of the given labels.
+ */
+function numberAfterLabel(text, labels) {
+  for (const label of labels.filter(Boolean)) {
+    const esc = label.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+    const m = text.match(new RegExp(`${esc}\\s*:?\\s*(-?\\d+)`, "i"));
+    if (m) return Number(m[1]);
+  }
+  return null;
+}
+
+function difficultyFromRolls(message) {
+  for (const roll of safe(() => message.rolls ?? [], []) ?? []) {
+    const m = String(roll?.formula ?? "").match(/cs>=?(\d+)/);
+    if (m) return Number(m[1]);
+  }
+  return null;
+}
+
+function finiteOrNull(value) {
+  if (value === null || value === undefined || value === "") return null;
+  const n = Number(value);
+  return Number.isFinite(n) ? n : null;
+}
+
+/**
+ * Successes / state as computed by the system: message flags first, then the rendered card.
+ *
+ * @returns {{ successes: number|null, state: string|null }}
+ */
+function systemResult(message, text) {
+  const flags = safe(() => message.flags?.[SYSTEM_ID] ?? {}, {}) ?? {};
+  let successes = finiteOrNull(flags.successes);
+  let state = flags.botch === true ? "botch" : null;
+
+  if (successes === null) successes = numberAfterLabel(text, [loc("wod.dice.successes"), englishOf("wod.dice.successes")]);
+
+  if (!state) {
+    const lower = text.toLowerCase();
+    const has = (key) => [loc(key), englishOf(key)].some((s) => s && lower.includes(s.toLowerCase()));
+
+    if (has("wod.dice.botch")) state = "botch";
+    else if (successes !== null) state = successes > 0 ? "success" : "fail";
+    else if (has("wod.dice.fail")) state = "fail";
+  }
+
+  return { successes, state };
+}
+
+/**
+ * Read WoD roll facts from message data + rendered text.
+ */
+function readRoll(message, root) {
+  const results = d10Results(message);
+  const text = root.textContent ?? "";
+
+  const difficulty =
+    difficultyFromRolls(message) ??
+    safe(() => Number(message.flags?.[SYSTEM_ID]?.difficulty) || null, null) ??
+    numberAfterLabel(text, [loc("wod.labels.difficulty"), englishOf("wod.labels.difficulty")]);
+
+  const ones = results.filter((r) => r === 1).length;
+
+  let { successes, state } = systemResult(message, text);
+
+  if (successes === null && !state && difficulty && results.length) {
+    const hits = results.filter((r) => r >= difficulty).length;
+    successes = Math.max(0, hits - ones);
+    state = successes > 0 ? "success" : hits === 0 && ones > 0 ? "botch" : "fail";
+  }
+
+  return { pool: results.length, results, difficulty, successes, ones, state };
+}
+
+/**
+ * System-built card HTML in message.content (core rolls leave it empty or a plain total).
+ */
+function hasCardMarkup(message) {
+  return /<[a-z][^>]*>/i.test(safe(() => String(message.content ?? ""), ""));
+}
+
+function isWodRollMessage(message) {
+  if (safe(() => game.system?.id, null) !== SYSTEM_ID) return false;
+  if (!safe(() => message?.rolls?.length > 0, false)) return false;
+  if (safe(() => message.getFlag?.("core", "initiativeRoll") ?? message.flags?.core?.initiativeRoll, false)) return false;
+  if (!d10Results(message).length) return false;
+
+  // Any d10 is not enough (initiative, "/roll 1d10"): the roll must look like a WoD pool.
+  const pool = safe(() => message.rolls.some((r) => /d10[^+\-*/\s]*cs/.test(String(r?.formula ?? ""))), false);
+  const flagged = safe(() => Object.keys(message.flags?.[SYSTEM_ID] ?? {}).length > 0, false);
+  return pool || flagged || hasCardMarkup(message);
+}
+
+function buildSummary(facts) {
+  const el = document.createElement("div");
+  el.className = `wodru-roll-card wodru-roll-${facts.state ?? "unknown"}`;
+
+  const row = (label, value, cls = "") => {
+    const r = document.createElement("div");
+    r.className = `wodru-roll-row ${cls}`.trim();
+
+    const l = document.createElement("span");
+    l.className = "wodru-roll-label";
+    l.textContent = label;
+
+    const v = document.createElement("span");
+    v.className = "wodru-roll-value";
+    if (value instanceof Node) v.appendChild(value);
+    else v.textContent = value;
+
+    r.append(l, v);
+    return r;
+  };
+
+  // Dice pool: "7 кубов: 10 8 6 5 3 1 1" (successes / ones highlighted)
+  const dice = document.createElement("span");
+  dice.append(`${formatPlural("plural.dice", facts.pool)}: `);
+  for (const r of [...facts.results].sort((a, b) => b - a)) {
+    const d = document.createElement("span");
+    d.className = "wodru-die";
+    if (r === 1) d.classList.add("wodru-die-one");
+    else if (facts.difficulty && r >= facts.difficulty) d.classList.add("wodru-die-hit");
+    d.textContent = String(r);
+    dice.append(d, " ");
+  }
+  el.appendChild(row(loc("wod.dialog.dicepool"), dice));
+
+  if (facts.difficulty) el.appendChild(row(loc("wod.labels.difficulty"), String(facts.difficulty)));
+
+  let outcome = null;
+  if (facts.state === "botch") outcome = loc("wod.dice.botch");
+  else if (facts.state === "fail") outcome = loc("wod.dice.fail");
+  else if (facts.state === "success") outcome = formatPlural("plural.successes", facts.successes ?? 0);
+
+  if (outcome) el.appendChild(row(loc("wod.dice.successes"), outcome, "wodru-roll-outcome"));
+
+  return el;
+}
+
+function processMessage(message, root) {
+  const content = root.querySelector(".message-content") ?? root;
+  if (content.dataset?.[DATASET_PATCHED] === "1") return;
+  content.dataset[DATASET_PATCHED] = "1";
+
+  const replaced = translateFragments(content, phraseMap());
+  const facts = readRoll(message, content);
+  content.prepend(buildSummary(facts));
+
+  debugNs(NS, "roll card processed", {
+    messageId: safe(() => message.id, null),
+    replaced,
+    pool: facts.pool,
+    difficulty: facts.difficulty,
+    successes: facts.successes,
+    state: facts.state
+  });
+}
+
+function onRender(message, html) {
+  try {
+    if (!isRuActive()) return;
+    if (!isWodRollMessage(message)) return;
+
+    const root = /** @type {HTMLElement|null} */ (html?.[0] ?? html);
+    if (!root || !(root instanceof HTMLElement)) return;
+
+    processMessage(message, root);
+  } catch (e) {
+    error(`[${NS}] hook error`, { err: String(e), stack: e?.stack ?? null });
+  }
+}
+
+// v13 renders chat with HTMLElement (renderChatMessageHTML); older cores pass jQuery to renderChatMessage.
+Hooks.once("init", () => {
+  const generation = safe(() => Number(game.release?.generation), 0) ?? 0;
+  Hooks.on(generation >= 13 ? "renderChatMessageHTML" : "renderChatMessage", onRender);
+});
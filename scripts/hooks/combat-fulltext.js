@@ -1,5 +1,3 @@
-/* eslint-disable no-console */
-
 /**
  * Combat table full-text restoration hook.
  *
@@ -10,9 +8,11 @@
  * - RU language only.
  * - Actor sheets only.
  * - Idempotent per-row (won't rewrite the same row repeatedly on rerender).
+ *
+ * Runs as a patcher of scripts/hooks/sheet-patcher.js (render passes only, no DOM observer).
  */
 
-import { debugNs, safe } from "../logger/core.js";
+import { registerSheetPatcher } from "./sheet-patcher.js";
 
 /**
  * Resolve an Item id from a combat row.
@@ -89,120 +89,70 @@ function computeAttackAbilityLabel(item, actor) {
   return game?.i18n?.localize ? game.i18n.localize(rawStr) : rawStr;
 }
 
-Hooks.on("renderActorSheet", (app, html) => {
-  safe(() => {
-    debugNs("combat", "renderActorSheet entered", {
-      sheetClass: app?.constructor?.name ?? null,
-      actorId: app?.actor?.id ?? null,
-      lang: game?.i18n?.lang ?? null
-    });
-  });
-
-  try {
-    if (game?.i18n?.lang !== "ru") {
-      safe(() => debugNs("combat", "skip: non-RU", { lang: game?.i18n?.lang ?? null }));
-      return;
-    }
-
-    const actor = app?.actor;
-    if (!actor) {
-      safe(() => debugNs("combat", "skip: no actor"));
-      return;
-    }
-
-    const root = html?.[0];
-    if (!root) {
-      safe(() => debugNs("combat", "skip: no root"));
-      return;
+/**
+ * Restore full name/ability text in one combat row.
+ *
+ * @param {HTMLElement} row
+ * @param {any} item
+ * @param {{ actor: any }} ctx
+ * @returns {string|false}
+ */
+function restoreRow(row, item, ctx) {
+  // In system templates, data-itemid is placed on `.dragrow`
+  const dragRow =
+    row.querySelector(".dragrow[data-itemid], .dragrow[data-item-id], .dragrow") ||
+    row.querySelector("[data-itemid], [data-item-id]");
+
+  if (!dragRow) return false;
+
+  let updated = false;
+
+  // Name (all combat templates shorten item.name)
+  const nameCell = dragRow.querySelector(".width-namebox");
+  if (nameCell && item.name) {
+    if (setCellText(nameCell, item.name)) {
+      nameCell.dataset.fullName = item.name;
+      updated = true;
     }
+  }
 
-    const rows = root.querySelectorAll(
-      ".item-row-area.combat-natural-itemlist, " +
-        ".item-row-area.combat-melee-itemlist, " +
-        ".item-row-area.combat-ranged-itemlist, " +
-        ".item-row-area.combat-armor-itemlist"
-    );
-
-    safe(() => debugNs("combat", "rows selected", { rowsFound: rows.length }));
-    if (!rows.length) return;
-
-    let processed = 0;
-    let updatedName = 0;
-    let updatedAbility = 0;
-
-    let skippedAlready = 0;
-    let noItemId = 0;
-    let missingItems = 0;
-    let noDragRow = 0;
-
-    rows.forEach((row) => {
-      if (row.dataset.fulltextApplied === "true") {
-        skippedAlready += 1;
-        return;
-      }
-
-      // IMPORTANT: id is stored as data-itemid in system templates
-      const itemId = resolveItemId(row);
-      if (!itemId) {
-        noItemId += 1;
-        return;
-      }
-
-      const item = actor.items.get(itemId);
-      if (!item) {
-        missingItems += 1;
-        return;
-      }
-
-      // In system templates, data-itemid is placed on `.dragrow`
-      const dragRow =
-        row.querySelector(".dragrow[data-itemid], .dragrow[data-item-id], .dragrow") ||
-        row.querySelector("[data-itemid], [data-item-id]");
-
-      if (!dragRow) {
-        noDragRow += 1;
-        return;
-      }
-
-      // Name (all combat templates shorten item.name)
-      const nameCell = dragRow.querySelector(".width-namebox");
-      if (nameCell && item.name) {
-        if (setCellText(nameCell, item.name)) {
-          nameCell.dataset.fullName = item.name;
-          updatedName += 1;
-        }
+  // Ability (melee/ranged/natural use item.system.attack.* and helpers)
+  const abilityCell = dragRow.querySelector(".width-abilitybox");
+  if (abilityCell) {
+    const label = computeAttackAbilityLabel(item, ctx.actor);
+    if (label) {
+      if (setCellText(abilityCell, label)) {
+        abilityCell.dataset.fullAbility = label;
+        updated = true;
       }
+    }
+  }
 
-      // Ability (melee/ranged/natural use item.system.attack.* and helpers)
-      const abilityCell = dragRow.querySelector(".width-abilitybox");
-      if (abilityCell) {
-        const label = computeAttackAbilityLabel(item, actor);
-        if (label) {
-          if (setCellText(abilityCell, label)) {
-            abilityCell.dataset.fullAbility = label;
-            updatedAbility += 1;
-          }
-        }
-      }
+  return updated ? "updated" : "unchanged";
+}
 
-      row.dataset.fulltextApplied = "true";
-      processed += 1;
-    });
-
-    safe(() =>
-      debugNs("combat", "fulltext summary", {
-        rowsFound: rows.length,
-        processedRows: processed,
-        updatedName,
-        updatedAbility,
-        skippedAlready,
-        noItemId,
-        missingItems,
-        noDragRow,
-        actorName: actor.name ?? null
-      })
-    );
-  } catch (e) {
-    console.error("[wod-v20-ru][combat] fulltext hook error", e);
+registerSheetPatcher({
+  id: "combat-fulltext",
+  ns: "combat",
+  feature: "combatFullText",
+  rows:
+    ".item-row-area.combat-natural-itemlist, " +
+    ".item-row-area.combat-melee-itemlist, " +
+    ".item-row-area.combat-ranged-itemlist, " +
+    ".item-row-area.combat-armor-itemlist",
+  // IMPORTANT: id is stored as data-itemid in system templates
+  item: (row, ctx) => {
+    const itemId = resolveItemId(row);
+    return itemId ? ctx.actor.items.get(itemId) ?? null : null;
+  },
+  apply: restoreRow,
+  key: "fulltextApplied",
+  requires: {
+    items: [{ type: "Melee", name: "Probe" }],
+    selectors: [
+      ".item-row-area.combat-melee-itemlist .dragrow[data-itemid]",
+      ".item-row-area.combat-melee-itemlist .width-namebox",
+      ".item-row-area.combat-melee-itemlist .width-abilitybox"
+    ]
   }
 });
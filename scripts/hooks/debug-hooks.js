@@ -13,15 +13,16 @@
  * - Helps identify what template a sheet is using
  */
 
-import { info, error, safe } from "../logger/core.js";
+import { info, warn, error, safe, debugNs, isDebugEnabled } from "../logger/core.js";
 import { dumpCoreState } from "../diagnostics/core-state.js";
-import { cssSanityCheck } from "../diagnostics/css-sanity.js";
+import { cssSanityCheck, cssVariableCheck } from "../diagnostics/css-sanity.js";
 
 function dumpRender(app, html) {
   const el = app?.element?.[0] ?? html?.[0] ?? null;
   const inner = el?.querySelector?.(".sheet-inner-area") ?? null;
 
-  info("Render", {
+  // Namespaced debug entry: hidden by log level "info" or by denying "app-render".
+  debugNs("app-render", "Render", {
     app: {
       class: app?.constructor?.name,
       appId: safe(() => app?.appId),
@@ -59,6 +60,11 @@ export function registerDebugHooks() {
 
     // CSS sanity is most meaningful at "ready" because styles are loaded.
     cssSanityCheck();
+
+    // Full variable check renders a probe sheet per splat: debug mode only.
+    if (isDebugEnabled()) {
+      cssVariableCheck().catch((e) => warn("CSS variable check failed", { err: String(e), stack: e?.stack ?? null }));
+    }
   });
 
   // Generic application renders (covers many UI windows).
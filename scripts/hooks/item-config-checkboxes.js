@@ -12,6 +12,7 @@
  */
 
 import { safe, warn, debugNs } from "../logger/core.js";
+import { isFeatureEnabled } from "../features.js";
 
 const NS = "ru-item-config";
 
@@ -134,6 +135,7 @@ function processGroupByNames(root, names, { containerMode = "auto" } = {}) {
 
 Hooks.on("renderItemSheet", (app, html) => {
   if (!isRu()) return;
+  if (!isFeatureEnabled("checkboxLayout")) return;
 
   const root = html?.[0] ?? app?.element?.[0] ?? null;
   if (!root) {
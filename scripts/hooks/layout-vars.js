@@ -0,0 +1,127 @@
+/**
+ * Per-client layout variable overrides.
+ *
+ * styles/ru-vars.css is the single source of truth for RU layout numbers (see README-SHEET.md).
+ * Tables with different monitors want different numbers without editing the file on the server,
+ * so each client may store its own values (client setting) which are applied as inline custom
+ * properties on :root. Inline :root properties win over the stylesheet, and removing them
+ * restores the file defaults.
+ *
+ * The list of tunable variables is read from the loaded ru-vars.css (CSSOM), so it always
+ * matches the shipped file. Variables documented in README-SHEET.md are the tunable ones; the rest
+ * are internal details of the module CSS (listed separately by the layout panel).
+ */
+
+import { debugNs, safe, MOD_ID } from "../logger/core.js";
+
+const NS = "layout-vars";
+
+export const LAYOUT_VARS_SETTING = "layoutVars";
+
+const VARS_FILE = "styles/ru-vars.css";
+const VAR_PREFIX = "--wodru-";
+
+// Variables documented in README-SHEET.md (sections 1-7). Names the loaded file does not declare
+// are simply not listed.
+const DOCUMENTED_VARS = new Set([
+  "--wodru-sheet-min-width",
+  "--wodru-sheet-width",
+  "--wodru-sheet-min-height",
+  "--wodru-inner-width",
+  "--wodru-ability-headline-width",
+  "--wodru-health-headline-width",
+  "--wodru-itemlist-abilitybox-width",
+  "--wodru-gear-abilitybox-width",
+  "--wodru-itemlist-valuebox-width",
+  "--wodru-effect-mediumbox-width",
+  "--wodru-power-dicebox-width",
+  "--wodru-power-iconbox-width",
+  "--wodru-aretecasting-dialog-label-width",
+  "--wodru-dialog-casting-type-label-width",
+  "--wodru-combobox-row-width"
+]);
+
+// Names currently set inline by us (so removed values are cleaned up).
+const appliedNames = new Set();
+
+function isVarsSheet(sheet) {
+  const href = safe(() => sheet.href, null);
+  return Boolean(href) && href.includes(`/modules/${MOD_ID}/${VARS_FILE}`);
+}
+
+/**
+ * Variables declared on :root in ru-vars.css, with their file defaults.
+ * `documented`: described in README-SHEET.md (false = internal).
+ *
+ * @returns {Array<{ name: string, value: string, documented: boolean }>}
+ */
+export function listLayoutVars() {
+  const out = new Map();
+
+  for (const sheet of Array.from(document.styleSheets ?? [])) {
+    if (!isVarsSheet(sheet)) continue;
+
+    const rules = safe(() => Array.from(sheet.cssRules ?? []), []);
+    for (const rule of rules) {
+      if (rule?.selectorText !== ":root") continue;
+
+      for (let i = 0; i < rule.style.length; i++) {
+        const name = rule.style[i];
+        if (!name.startsWith(VAR_PREFIX)) continue;
+        out.set(name, rule.style.getPropertyValue(name).trim());
+      }
+    }
+  }
+
+  return Array.from(out, ([name, value]) => ({ name, value, documented: DOCUMENTED_VARS.has(name) }));
+}
+
+/**
+ * Saved per-client values (sanitized).
+ *
+ * @returns {Record<string, string>}
+ */
+export function getSavedLayoutVars() {
+  const raw = safe(() => game.settings.get(MOD_ID, LAYOUT_VARS_SETTING), {}) ?? {};
+  return cleanLayoutVars(raw);
+}
+
+/**
+ * Keep only module variables with non-empty string values.
+ *
+ * @param {Record<string, any>} values
+ * @returns {Record<string, string>}
+ */
+export function cleanLayoutVars(values) {
+  const out = {};
+  for (const [name, value] of Object.entries(values ?? {})) {
+    if (!name.startsWith(VAR_PREFIX) || typeof value !== "string") continue;
+    if (value.trim()) out[name] = value.trim();
+  }
+  return out;
+}
+
+/**
+ * Apply values as inline custom properties on :root; variables missing from `values`
+ * fall back to the stylesheet.
+ *
+ * @param {Record<string, string>} values
+ */
+export function applyLayoutVars(values) {
+  const root = document.documentElement;
+  const next = cleanLayoutVars(values);
+
+  for (const name of appliedNames) {
+    if (!(name in next)) root.style.removeProperty(name);
+  }
+  appliedNames.clear();
+
+  for (const [name, value] of Object.entries(next)) {
+    root.style.setProperty(name, value);
+    appliedNames.add(name);
+  }
+
+  debugNs(NS, "applied layout variables", { count: appliedNames.size });
+}
+
+Hooks.once("setup", () => applyLayoutVars(getSavedLayoutVars()));
@@ -16,6 +16,7 @@
  */
 
 import { debugNs, info, warn, error, safe } from "../logger/core.js";
+import { isFeatureEnabled } from "../features.js";
 import {
   JUMP_DEFAULT,
   JUMP_GLABRO,
@@ -110,6 +111,8 @@ function patchActorPrepareDerivedData(stage) {
     // Only for our target system + RU UI (avoid touching other systems/worlds).
     if (game?.system?.id !== "worldofdarkness") return result;
     if (!isRuUi()) return result;
+    // Checked per call: the patch stays installed so the feature can be toggled without a reload.
+    if (!isFeatureEnabled("jumpOverride")) return result;
 
     const res = applyJumpOverrideInPlace(this);
 
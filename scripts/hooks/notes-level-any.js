@@ -6,8 +6,8 @@
  * - 0 (expected)
  * - any non-numeric values (undesired for some content types)
  *
- * This hook:
- * - Runs on actor sheet render (RU language only).
+ * This patcher (scripts/hooks/sheet-patcher.js):
+ * - Runs in the shared pass after actor sheet render (RU language only).
  * - Finds Notes list rows (Feature list on Notes tab).
  * - Reads item.system.level from the actor item.
  * - If level is numeric > 0, outputs it.
@@ -17,13 +17,13 @@
  * - If level is 0 / "0" / empty -> keeps it hidden.
  *
  * IMPORTANT: minimal DOM impact
- * - The hook only fills the existing `.width-valuebox` cell with plain text or "&nbsp;".
- * - It does NOT inject wrapper elements, does NOT attach observers, and does NOT store
- *   any custom references on DOM nodes.
+ * - The patcher only fills the existing `.width-valuebox` cell with plain text or "&nbsp;".
+ * - It does NOT inject wrapper elements, does NOT follow DOM mutations (observe: false), and
+ *   does NOT store any custom references on DOM nodes.
  *
  * Timing:
- * - WoD20 system may adjust list layout after renderActorSheet.
- * - We patch after layout stabilizes using double requestAnimationFrame.
+ * - The shared render pass runs synchronously in renderActorSheet; the patch only writes cell text,
+ *   so it does not depend on the final list layout.
  *
  * Scope:
  * - RU language only.
@@ -31,9 +31,9 @@
  * - System templates are not modified (DOM patch only).
  */
 
-import { debugNs, safe, error } from "../logger/core.js";
+import { safe } from "../logger/core.js";
+import { registerSheetPatcher } from "./sheet-patcher.js";
 
-const NS = "notes-level";
 const DATASET_ROW_PATCHED = "wodruNotesLevelPatched";
 
 /**
@@ -74,15 +74,6 @@ function normalizeLevel(raw) {
   return { text: "", hidden: true, kind: "non-supported" };
 }
 
-/**
- * Run a function after system layout stabilizes.
- *
- * @param {() => void} fn
- */
-function afterStableLayout(fn) {
-  requestAnimationFrame(() => requestAnimationFrame(fn));
-}
-
 /**
  * Get the item id for a Notes row.
  *
@@ -131,95 +122,44 @@ function renderCell(cell, norm) {
 }
 
 /**
- * Patch Notes rows within the provided scope.
+ * Fill the Level cell of one Notes row.
  *
- * @param {HTMLElement} scope
- * @param {any} actor
+ * @param {HTMLElement} row
+ * @param {any} item
+ * @returns {string|false}
  */
-function patch(scope, actor) {
-  const rows = Array.from(scope.querySelectorAll(".item-row-area.feature-itemlist"));
-  if (!rows.length) return { rowsFound: 0, updated: 0, skipped: 0, missingItem: 0, missingCell: 0 };
+function patchRow(row, item) {
+  const raw = safe(() => item.system?.level, undefined);
+  const norm = normalizeLevel(raw);
 
-  let updated = 0;
-  let skipped = 0;
-  let missingItem = 0;
-  let missingCell = 0;
+  const cell = getLevelCell(row);
+  if (!cell) return false;
 
-  for (const row of rows) {
-    if (row instanceof HTMLElement && row.dataset?.[DATASET_ROW_PATCHED] === "1") {
-      skipped += 1;
-      continue;
-    }
+  const current = (cell.textContent ?? "").replace(/\u00A0/g, "").trim();
+  const desired = norm.hidden ? "" : norm.text.trim();
 
-    const itemId = getRowItemId(row);
-    if (!itemId) {
-      skipped += 1;
-      continue;
-    }
-
-    const item = safe(() => actor?.items?.get?.(itemId), null);
-    if (!item) {
-      missingItem += 1;
-      continue;
-    }
-
-    const raw = safe(() => item.system?.level, undefined);
-    const norm = normalizeLevel(raw);
-
-    const cell = getLevelCell(row);
-    if (!cell) {
-      missingCell += 1;
-      continue;
-    }
-
-    const current = (cell.textContent ?? "").replace(/\u00A0/g, "").trim();
-    const desired = norm.hidden ? "" : norm.text.trim();
-
-    if (current !== desired) {
-      renderCell(cell, norm);
-      updated += 1;
-    } else {
-      if (norm.hidden && cell.innerHTML.trim() !== "&nbsp;") renderCell(cell, norm);
-      skipped += 1;
-    }
-
-    if (row instanceof HTMLElement) row.dataset[DATASET_ROW_PATCHED] = "1";
+  if (current !== desired) {
+    renderCell(cell, norm);
+    return "updated";
   }
 
-  return { rowsFound: rows.length, updated, skipped, missingItem, missingCell };
+  if (norm.hidden && cell.innerHTML.trim() !== "&nbsp;") renderCell(cell, norm);
+  return "unchanged";
 }
 
-Hooks.on("renderActorSheet", (app, html) => {
-  try {
-    const lang = safe(() => game?.i18n?.lang, "");
-    if (!lang || !lang.toLowerCase().startsWith("ru")) return;
-
-    const actor = safe(() => app?.actor, null);
-    if (!actor) return;
-
-    const root = /** @type {HTMLElement|null} */ (html?.[0] ?? html);
-    if (!root || !(root instanceof HTMLElement)) return;
-
-    const noteTab = root.querySelector('.tab[data-tab="note"], .tab.note');
-    const scope = noteTab instanceof HTMLElement ? noteTab : root;
-
-    afterStableLayout(() => {
-      const r = patch(scope, actor);
-      if (r.rowsFound > 0) {
-        debugNs(NS, "notes level patch done", {
-          actorName: actor.name ?? null,
-          rowsFound: r.rowsFound,
-          updated: r.updated,
-          skipped: r.skipped,
-          missingItem: r.missingItem,
-          missingCell: r.missingCell
-        });
-      }
-    });
-  } catch (e) {
-    error(`[${NS}] hook error`, {
-      err: String(e),
-      stack: e?.stack ?? null
-    });
+registerSheetPatcher({
+  id: "notes-level",
+  feature: "notesLevel",
+  scope: '.tab[data-tab="note"], .tab.note',
+  rows: ".item-row-area.feature-itemlist",
+  item: (row, ctx) => {
+    const itemId = getRowItemId(row);
+    return itemId ? safe(() => ctx.actor?.items?.get?.(itemId), null) : null;
+  },
+  apply: patchRow,
+  key: DATASET_ROW_PATCHED,
+  requires: {
+    items: [{ type: "Feature", name: "Probe", system: { level: 1 } }],
+    selectors: [".item-row-area.feature-itemlist .dragrow[data-itemid]", ".item-row-area.feature-itemlist .dragrow .width-valuebox"]
   }
 });
@@ -1,5 +1,3 @@
-/* eslint-disable no-console */
-
 /**
  * Notes tab: enable rolling from the Notes list when `item.system.isrollable === true`.
  *
@@ -9,13 +7,14 @@
  *   earlier (during sheet render), so newly-patched nodes won't have click handlers.
  *
  * Solution:
- * - On `renderActorSheet` (RU language only), patch Notes rows:
+ * - As a patcher of scripts/hooks/sheet-patcher.js (RU language only), patch Notes rows:
  *   - If item.system.isrollable is true:
  *     - Add `.vrollable` to the Name cell
  *     - Add the minimal datasets expected by system roll handlers
  *     - Attach a click listener that calls the system's roll dialog handler
  *       (resolved dynamically from the sheet instance)
- * - Keep it stable with a MutationObserver (debounced) because Notes list can re-render.
+ * - Keep it stable with the shared per-sheet MutationObserver (observe: true) because Notes list
+ *   can re-render.
  *
  * Important:
  * - Notes list uses Item type = "Feature".
@@ -25,18 +24,13 @@
  */
 
 import { debugNs, safe, error } from "../logger/core.js";
+import { registerSheetPatcher } from "./sheet-patcher.js";
 
 const NS = "notes-rollables";
 
 const DATASET_ROW_PATCHED = "wodruNotesRollPatched";
-const DATASET_SCOPE_OBSERVED = "wodruNotesRollObserved";
-const DATASET_SCOPE_PATCHING = "wodruNotesRollPatching";
 const DATASET_CELL_BOUND = "wodruNotesRollBound";
 
-function afterStableLayout(fn) {
-  requestAnimationFrame(() => requestAnimationFrame(fn));
-}
-
 /**
  * Find the system roll dialog handler on the actor sheet instance.
  * We search for the first method matching /^_onRoll.*Dialog$/ (excluding Sort handlers).
@@ -122,170 +116,75 @@ function getRollObject(item) {
 }
 
 /**
- * Patch Notes list rows inside scope.
+ * Make one Notes row rollable when its item is.
  *
- * @param {HTMLElement} scope
- * @param {{ app: any, actor: any, reason: string }} ctx
+ * @param {HTMLElement} row
+ * @param {any} item
+ * @param {{ app: any, actor: any }} ctx
+ * @returns {string|false}
  */
-function patchNotesRollables(scope, ctx) {
-  if (scope.dataset?.[DATASET_SCOPE_PATCHING] === "1") return;
-  scope.dataset[DATASET_SCOPE_PATCHING] = "1";
-
-  try {
-    const rows = Array.from(scope.querySelectorAll(".item-row-area.feature-itemlist"));
-    if (!rows.length) return;
-
-    const handler = getRollDialogHandler(ctx.app);
-
-    let patched = 0;
-    let skipped = 0;
-    let missingItem = 0;
-    let missingCell = 0;
-    let notRollable = 0;
-    let noHandler = 0;
-
-    for (const row of rows) {
-      if (!(row instanceof HTMLElement)) continue;
-      if (row.dataset?.[DATASET_ROW_PATCHED] === "1") {
-        skipped += 1;
-        continue;
-      }
-
-      const itemId = getRowItemId(row);
-      if (!itemId) {
-        skipped += 1;
-        continue;
-      }
-
-      const item = safe(() => ctx.actor?.items?.get?.(itemId), null);
-      if (!item) {
-        missingItem += 1;
-        continue;
-      }
-
-      if (!safe(() => item?.system?.isrollable, false)) {
-        notRollable += 1;
-        row.dataset[DATASET_ROW_PATCHED] = "1";
-        continue;
-      }
-
-      const nameCell = getNameCell(row);
-      if (!nameCell) {
-        missingCell += 1;
-        continue;
-      }
-
-      // Minimal dataset expected by system roll handlers.
-      // IMPORTANT: for Notes/Feature we map object to "Item" so RollDialog can open Item dialog.
-      nameCell.classList.add("vrollable");
-      nameCell.dataset.type = String(ctx.actor?.type ?? "");
-      nameCell.dataset.object = getRollObject(item);
-      nameCell.dataset.rollitem = "true";
-      nameCell.dataset.itemid = String(itemId);
-
-      if (!handler) {
-        noHandler += 1;
-      } else if (nameCell.dataset[DATASET_CELL_BOUND] !== "1") {
-        nameCell.dataset[DATASET_CELL_BOUND] = "1";
-        nameCell.addEventListener("click", (ev) => {
-          try {
-            debugNs(NS, "notes roll click", {
-              itemId,
-              itemName: safe(() => item?.name, null),
-              itemType: safe(() => item?.type, null),
-              rollObject: safe(() => nameCell.dataset.object, null),
-              actorType: safe(() => ctx.actor?.type, null),
-              isRollable: safe(() => item?.system?.isrollable, null)
-            });
-
-            handler(ev);
-          } catch (e) {
-            error(`[${NS}] click handler error`, {
-              err: String(e),
-              stack: e?.stack ?? null,
-              itemId
-            });
-          }
-        });
-      }
-
-      row.dataset[DATASET_ROW_PATCHED] = "1";
-      patched += 1;
+function patchRow(row, item, ctx) {
+  if (!safe(() => item?.system?.isrollable, false)) return "notRollable";
+
+  const nameCell = getNameCell(row);
+  if (!nameCell) return false;
+
+  const itemId = getRowItemId(row);
+
+  // Minimal dataset expected by system roll handlers.
+  // IMPORTANT: for Notes/Feature we map object to "Item" so RollDialog can open Item dialog.
+  nameCell.classList.add("vrollable");
+  nameCell.dataset.type = String(ctx.actor?.type ?? "");
+  nameCell.dataset.object = getRollObject(item);
+  nameCell.dataset.rollitem = "true";
+  nameCell.dataset.itemid = String(itemId);
+
+  const handler = getRollDialogHandler(ctx.app);
+  if (!handler) return "noHandler";
+  if (nameCell.dataset[DATASET_CELL_BOUND] === "1") return "patched";
+
+  nameCell.dataset[DATASET_CELL_BOUND] = "1";
+  nameCell.addEventListener("click", (ev) => {
+    try {
+      debugNs(NS, "notes roll click", {
+        itemId,
+        itemName: safe(() => item?.name, null),
+        itemType: safe(() => item?.type, null),
+        rollObject: safe(() => nameCell.dataset.object, null),
+        actorType: safe(() => ctx.actor?.type, null),
+        isRollable: safe(() => item?.system?.isrollable, null)
+      });
+
+      handler(ev);
+    } catch (e) {
+      error(`[${NS}] click handler error`, {
+        err: String(e),
+        stack: e?.stack ?? null,
+        itemId
+      });
     }
-
-    debugNs(NS, "notes rollables patch done", {
-      reason: ctx.reason,
-      rowsFound: rows.length,
-      patched,
-      skipped,
-      missingItem,
-      missingCell,
-      notRollable,
-      noHandler
-    });
-  } finally {
-    scope.dataset[DATASET_SCOPE_PATCHING] = "0";
-  }
-}
-
-/**
- * Keep patch stable when Notes list is re-rendered (sorting, toggles, etc.).
- *
- * @param {HTMLElement} scope
- * @param {{ app: any, actor: any }} deps
- */
-function ensureObserver(scope, deps) {
-  if (scope.dataset?.[DATASET_SCOPE_OBSERVED] === "1") return;
-  scope.dataset[DATASET_SCOPE_OBSERVED] = "1";
-
-  let t = /** @type {ReturnType<typeof setTimeout> | null} */ (null);
-  const observer = new MutationObserver((mutations) => {
-    if (scope.dataset?.[DATASET_SCOPE_PATCHING] === "1") return;
-
-    const meaningful = mutations.some(
-      (m) => m.addedNodes.length || m.removedNodes.length || m.type === "characterData"
-    );
-    if (!meaningful) return;
-
-    if (t) clearTimeout(t);
-    t = setTimeout(() => {
-      afterStableLayout(() => patchNotesRollables(scope, { ...deps, reason: "mutation" }));
-    }, 50);
   });
 
-  observer.observe(scope, {
-    subtree: true,
-    childList: true,
-    characterData: true
-  });
-
-  debugNs(NS, "observer attached", {
-    scopeTag: scope.tagName,
-    scopeClasses: scope.className
-  });
+  return "patched";
 }
 
-Hooks.on("renderActorSheet", (app, html) => {
-  try {
-    const lang = safe(() => game?.i18n?.lang, "");
-    if (!lang || !lang.toLowerCase().startsWith("ru")) return;
-
-    const actor = safe(() => app?.actor, null);
-    if (!actor) return;
-
-    const root = /** @type {HTMLElement|null} */ (html?.[0] ?? html);
-    if (!root || !(root instanceof HTMLElement)) return;
-
-    // Prefer Notes tab container if present, otherwise patch the whole sheet.
-    const noteTab = root.querySelector('.tab[data-tab="note"], .tab.note');
-    const scope = noteTab instanceof HTMLElement ? noteTab : root;
-
-    ensureObserver(scope, { app, actor });
-    afterStableLayout(() => patchNotesRollables(scope, { app, actor, reason: "render" }));
-  } catch (e) {
-    error(`[${NS}] hook error`, {
-      err: String(e),
-      stack: e?.stack ?? null
-    });
+registerSheetPatcher({
+  id: "notes-rollable",
+  ns: NS,
+  feature: "notesRollable",
+  scope: '.tab[data-tab="note"], .tab.note',
+  rows: ".item-row-area.feature-itemlist",
+  item: (row, ctx) => {
+    const itemId = getRowItemId(row);
+    return itemId ? safe(() => ctx.actor?.items?.get?.(itemId), null) : null;
+  },
+  apply: patchRow,
+  key: DATASET_ROW_PATCHED,
+  // Notes list is re-rendered in place (sorting, toggles): new rows need listeners again.
+  observe: true,
+  requires: {
+    items: [{ type: "Feature", name: "Probe", system: { isrollable: true } }],
+    selectors: [".item-row-area.feature-itemlist .dragrow[data-itemid]", ".item-row-area.feature-itemlist .dragrow > div:nth-child(3)"],
+    check: (sheet) => (getRollDialogHandler(sheet) ? null : "_onRoll*Dialog")
   }
 });
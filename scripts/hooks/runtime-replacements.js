@@ -0,0 +1,215 @@
+/**
+ * Runtime replacement of hardcoded English strings (RU only).
+ *
+ * Rules come from data/replacement-rules.json (see scripts/i18n/replacement-rules.js).
+ *
+ * How it runs:
+ * - Every rendered application root (V1 renderApplication and V2 renderApplicationV2, DialogV2
+ *   included) and the notifications container become observed scopes.
+ * - ONE MutationObserver watches all scopes; mutations are debounced (like notes-rollable.js)
+ *   and each dirty scope gets a single rules pass after layout stabilizes.
+ * - Our own text writes are dropped via observer.takeRecords() so we never loop.
+ *
+ * Debug report:
+ * - With debug logging on, every English-looking text node that no rule matched is counted.
+ * - The report is available as game.modules.get("foundryvtt_wod_v20_ru").api.replacements.report().
+ */
+
+import { debugNs, info, safe, error, isDebugEnabled } from "../logger/core.js";
+import { loadJson } from "../init-module.js";
+import { isRuActive } from "../ru-width.js";
+import { compileRules, matchRule, normalizeText } from "../i18n/replacement-rules.js";
+
+const NS = "replacements";
+
+const RULES_PATH = "data/replacement-rules.json";
+const SCOPE_ATTR = "data-wodru-replace-scope";
+const DEBOUNCE_MS = 50;
+
+// English-looking text: latin letters only (plus punctuation/digits) and at least one real word.
+const ENGLISH_RE = /^[A-Za-z0-9 ,.'!?:;()/&+-]+$/;
+const WORD_RE = /[A-Za-z]{3,}/;
+
+let rules = [];
+let observer = null;
+let timer = null;
+const dirty = new Set();
+
+/** @type {Map<string, { count: number, scope: string }>} */
+const unmatched = new Map();
+
+function afterStableLayout(fn) {
+  requestAnimationFrame(() => requestAnimationFrame(fn));
+}
+
+function scopeLabel(scope) {
+  return safe(() => scope.id || String(scope.className || scope.tagName).split(" ").slice(0, 3).join("."), "?");
+}
+
+/**
+ * Apply all rules inside one scope.
+ *
+ * @param {HTMLElement} scope
+ * @returns {{ replaced: number }}
+ */
+function applyRules(scope) {
+  let replaced = 0;
+  const touched = new Set();
+
+  for (const rule of rules) {
+    const targets = safe(() => [
+      ...(scope.matches(rule.selector) ? [scope] : []),
+      ...scope.querySelectorAll(rule.selector)
+    ], []);
+
+    for (const el of targets) {
+      const walker = document.createTreeWalker(el, NodeFilter.SHOW_TEXT);
+      for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+        if (touched.has(node)) continue;
+
+        const text = normalizeText(node.textContent);
+        if (!text) continue;
+
+        const data = matchRule(rule, text);
+        if (!data) continue;
+
+        const out = safe(() => game.i18n.format(rule.key, data), null);
+        if (!out || out === rule.key) continue;
+
+        node.textContent = out;
+        touched.add(node);
+        replaced += 1;
+      }
+    }
+  }
+
+  if (isDebugEnabled()) collectUnmatched(scope, touched);
+
+  return { replaced };
+}
+
+function collectUnmatched(scope, touched) {
+  const walker = document.createTreeWalker(scope, NodeFilter.SHOW_TEXT);
+  for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+    if (touched.has(node)) continue;
+    if (node.parentElement?.closest("script, style")) continue;
+
+    const text = normalizeText(node.textContent);
+    if (!text || !ENGLISH_RE.test(text) || !WORD_RE.test(text)) continue;
+
+    const entry = unmatched.get(text);
+    if (entry) {
+      entry.count += 1;
+      continue;
+    }
+
+    unmatched.set(text, { count: 1, scope: scopeLabel(scope) });
+    debugNs(NS, "unmatched English text", { text, scope: scopeLabel(scope) });
+  }
+}
+
+function flush() {
+  timer = null;
+  const scopes = Array.from(dirty);
+  dirty.clear();
+
+  afterStableLayout(() => {
+    let replaced = 0;
+    for (const scope of scopes) {
+      if (!scope.isConnected) continue;
+      replaced += applyRules(scope).replaced;
+    }
+
+    // Drop mutations caused by our own writes.
+    observer?.takeRecords();
+
+    if (replaced) debugNs(NS, "replacement pass done", { scopes: scopes.length, replaced });
+  });
+}
+
+function schedule(scope) {
+  dirty.add(scope);
+  if (timer) clearTimeout(timer);
+  timer = setTimeout(flush, DEBOUNCE_MS);
+}
+
+function ensureObserver() {
+  if (observer) return observer;
+
+  observer = new MutationObserver((mutations) => {
+    for (const m of mutations) {
+      const el = m.target instanceof Element ? m.target : m.target?.parentElement;
+      const scope = el?.closest?.(`[${SCOPE_ATTR}]`);
+      if (scope instanceof HTMLElement) schedule(scope);
+    }
+  });
+
+  return observer;
+}
+
+/**
+ * Register an element as an observed scope and queue a pass.
+ *
+ * @param {HTMLElement} scope
+ */
+function observeScope(scope) {
+  if (!rules.length) return;
+
+  if (!scope.hasAttribute(SCOPE_ATTR)) {
+    scope.setAttribute(SCOPE_ATTR, "1");
+    ensureObserver().observe(scope, { subtree: true, childList: true, characterData: true });
+  }
+
+  schedule(scope);
+}
+
+/**
+ * Unmatched English text report (debug).
+ *
+ * @returns {Array<{ text: string, count: number, scope: string }>}
+ */
+export function getUnmatchedReport() {
+  return Array.from(unmatched, ([text, v]) => ({ text, ...v })).sort((a, b) => b.count - a.count);
+}
+
+async function loadRules() {
+  try {
+    rules = compileRules(await loadJson(RULES_PATH));
+    info("Replacement rules loaded", { count: rules.length, path: RULES_PATH });
+  } catch (e) {
+    rules = [];
+    error(`[${NS}] rules load failed`, { path: RULES_PATH, err: String(e) });
+  }
+}
+
+const rulesReady = new Promise((resolve) => {
+  Hooks.once("i18nInit", () => {
+    if (!isRuActive()) return resolve();
+    loadRules().finally(resolve);
+  });
+});
+
+function onRenderApp(app, html) {
+  if (!isRuActive()) return;
+
+  // V1 passes jQuery, V2 the HTMLElement; V2 app.element is the window root either way.
+  const root = /** @type {HTMLElement|null} */ (html?.[0] ?? html ?? app?.element);
+  if (!root || !(root instanceof HTMLElement)) return;
+
+  rulesReady.then(() => observeScope(root));
+}
+
+Hooks.on("renderApplication", onRenderApp);
+Hooks.on("renderApplicationV2", (app, element) => onRenderApp(app, app?.element instanceof HTMLElement ? app.element : element));
+
+Hooks.once("ready", () => {
+  if (!isRuActive()) return;
+
+  rulesReady.then(() => {
+    const notifications = safe(() => ui.notifications?.element, null);
+    const el = notifications?.[0] ?? notifications ?? document.getElementById("notifications");
+    if (el instanceof HTMLElement) observeScope(el);
+
+    debugNs(NS, "runtime replacements active", { rules: rules.length });
+  });
+});
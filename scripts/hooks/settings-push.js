@@ -0,0 +1,163 @@
+/**
+ * GM push of client settings over the module socket.
+ *
+ * Why:
+ * - Most module settings are client-scoped (debugLogging, layout variables, tooltips), so helping
+ *   a player means walking them through menus. The GM can send a bundle instead.
+ *
+ * Protocol (channel "module.<MOD_ID>", module.json "socket": true):
+ * - GM -> clients:  { type: "settingsPush",   requestId, from, targets: string[]|null, bundle }
+ * - client -> GM:   { type: "settingsResult", requestId, to, userId, status, applied, failed, invalid }
+ *
+ * bundle uses the preset format of scripts/utils/settings-preset.js ({ module, settings: { client: {...} } }),
+ * so the receiving client validates it against its own registered settings before anything is written.
+ *
+ * Receiving side:
+ * - `from` is set by the sending client and cannot be verified (the socket relays anything), so the
+ *   GM check on it only drops honest mistakes; the dialog says the sender is unverified.
+ * - Only client-scoped module settings are ever applied; anything else in the bundle is reported
+ *   as invalid, even when the receiving user is a GM.
+ * - A localized confirmation dialog lists the changes; nothing is written without consent.
+ * - status: "applied" | "declined" | "unchanged" | "error"
+ */
+
+import { MOD_ID, info, warn, debugNs, error, safe } from "../logger/core.js";
+import { diffPreset, applyPresetEntries } from "../utils/settings-preset.js";
+
+const NS = "settings-push";
+
+const CHANNEL = `module.${MOD_ID}`;
+const PUSH = "settingsPush";
+const RESULT = "settingsResult";
+
+/** @type {Map<string, (result: object) => void>} */
+const pending = new Map();
+
+function escape(text) {
+  return safe(() => Handlebars.escapeExpression(String(text)), String(text));
+}
+
+function randomId() {
+  return safe(() => foundry.utils.randomID(), null) ?? Math.random().toString(36).slice(2, 18);
+}
+
+/**
+ * Send a bundle to users (GM only).
+ *
+ * @param {object} bundle - preset-shaped object ({ settings: { client: {...} } })
+ * @param {{ targets?: string[]|null, onResult?: (result: object) => void }} [opts]
+ *        targets: user ids, null = every connected user
+ * @returns {string|null} request id (null when not allowed)
+ */
+export function pushSettings(bundle, opts = {}) {
+  if (!safe(() => game.user?.isGM === true, false)) {
+    warn("Settings push is GM only");
+    return null;
+  }
+
+  const requestId = randomId();
+  if (opts.onResult) pending.set(requestId, opts.onResult);
+
+  const payload = {
+    type: PUSH,
+    requestId,
+    from: game.user.id,
+    targets: Array.isArray(opts.targets) ? opts.targets : null,
+    bundle: { module: MOD_ID, settings: bundle?.settings ?? {} }
+  };
+
+  game.socket.emit(CHANNEL, payload);
+  info("Settings push sent", { requestId, targets: payload.targets ?? "all", settings: payload.bundle.settings });
+
+  return requestId;
+}
+
+/**
+ * Stop listening for results of a request (e.g. when the GM window closes).
+ *
+ * @param {string} requestId
+ */
+export function forgetPush(requestId) {
+  pending.delete(requestId);
+}
+
+function reply(payload, result) {
+  game.socket.emit(CHANNEL, {
+    type: RESULT,
+    requestId: payload.requestId,
+    to: payload.from,
+    userId: game.user.id,
+    ...result
+  });
+}
+
+async function confirmPush(sender, changes) {
+  const rows = changes
+    .map((e) => `<li><code>${escape(e.key)}</code>: <code>${escape(JSON.stringify(e.next))}</code></li>`)
+    .join("");
+
+  const title = game.i18n.localize(`${MOD_ID}.push.confirmTitle`);
+  const content =
+    `<p>${escape(game.i18n.format(`${MOD_ID}.push.confirmText`, { name: sender, count: changes.length }))}</p>` +
+    `<ul>${rows}</ul>`;
+
+  const DialogV2 = globalThis.foundry?.applications?.api?.DialogV2;
+  if (DialogV2?.confirm) {
+    return (await DialogV2.confirm({ window: { title }, content, rejectClose: false })) === true;
+  }
+  return (await globalThis.Dialog?.confirm({ title, content })) === true;
+}
+
+async function onPush(payload) {
+  if (payload.targets && !payload.targets.includes(game.user.id)) return;
+
+  // Only GMs push from the window, but `from` is client-supplied: this drops stray payloads,
+  // it is not authentication. The client-scope filter and the confirmation dialog are the defence.
+  if (!safe(() => game.users.get(payload.from)?.isGM === true, false)) {
+    warn("Settings push ignored: sender is not a GM", { from: payload.from });
+    return;
+  }
+
+  const { errors, entries } = diffPreset(payload.bundle);
+  const changes = entries.filter((e) => e.status === "change" && e.scope === "client");
+  const invalid = entries.filter((e) => (e.status !== "change" && e.status !== "same") || e.scope !== "client").map((e) => e.key);
+
+  debugNs(NS, "settings push received", { requestId: payload.requestId, errors, changes: changes.length, invalid });
+
+  if (errors.length || !changes.length) {
+    reply(payload, { status: errors.length ? "error" : "unchanged", applied: [], failed: [], invalid, errors });
+    return;
+  }
+
+  const sender = safe(() => game.users.get(payload.from)?.name, null) ?? "GM";
+  if (!(await confirmPush(sender, changes))) {
+    reply(payload, { status: "declined", applied: [], failed: [], invalid });
+    return;
+  }
+
+  const { applied, failed } = await applyPresetEntries(changes);
+  info("Settings push applied", { requestId: payload.requestId, applied, failed });
+  reply(payload, { status: failed.length ? "error" : "applied", applied, failed, invalid });
+}
+
+function onResult(payload) {
+  if (payload.to !== game.user.id) return;
+
+  debugNs(NS, "settings push result", payload);
+  safe(() => pending.get(payload.requestId)?.(payload));
+}
+
+Hooks.once("ready", () => {
+  safe(() =>
+    game.socket.on(CHANNEL, (payload) => {
+      if (!payload || typeof payload !== "object") return;
+
+      const handler = payload.type === PUSH ? onPush : payload.type === RESULT ? onResult : null;
+      if (!handler) return;
+
+      Promise.resolve(handler(payload)).catch((e) => {
+        error(`[${NS}] socket handler error`, { type: payload.type, err: String(e), stack: e?.stack ?? null });
+      });
+    })
+  );
+});
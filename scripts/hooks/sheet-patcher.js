@@ -0,0 +1,271 @@
+/**
+ * Sheet patcher registry: one renderActorSheet listener, one pass per render and at most one
+ * MutationObserver per open actor sheet, shared by every row-level DOM patch.
+ *
+ * Why:
+ * - combat-fulltext, notes-level-any and notes-rollable used to register their own hooks, each
+ *   with its own DOM queries, timing and idempotency flags (notes-rollable also kept its own
+ *   observer). On large sheets that multiplied the work.
+ *
+ * Timing:
+ * - The render pass runs synchronously inside the render hook, so patched text is in place before
+ *   the first paint (no shortened names flashing for a frame).
+ * - Later DOM mutations are debounced and served by one batched pass after layout settles
+ *   (double requestAnimationFrame).
+ *
+ * Patcher contract (registerSheetPatcher):
+ * - id:      profiler/report name ("notes-level")
+ * - ns:      debugNs namespace for the per-pass summary
+ * - feature: feature id from scripts/features.js (patcher is skipped while disabled)
+ * - scope:   optional container selector inside the sheet (falls back to the whole sheet)
+ * - rows:    row selector inside the scope
+ * - item:    (row, ctx) => Item|null; rows without an item are counted and retried next pass
+ * - apply:   (row, item, ctx) => status string (counted in the summary), or false to retry the row
+ * - key:     dataset key marking a row as done (rows are skipped while it is "1" or "true")
+ * - observe: re-run the patcher when its rows change without a render (sorting, toggles); only the
+ *            patcher's containers are observed (its scope, or the parents of its rows without one)
+ * - requires: system markup the patcher depends on, verified by scripts/diagnostics/selector-compat.js:
+ *             { items: probe item data to create, selectors: string[], check?: (sheet) => string|null }
+ *             (check returns the name of a missing handler, or null)
+ *
+ * ctx: { app, actor, root, reason } where reason is "render" | "mutation".
+ *
+ * Scope: RU language only (game.i18n.lang starting with "ru", as the patches checked before).
+ */
+
+import { debugNs, error, safe } from "../logger/core.js";
+import { isFeatureEnabled } from "../features.js";
+import { profile } from "../diagnostics/profiler.js";
+
+const NS = "sheet-patcher";
+
+const MUTATION_DEBOUNCE_MS = 50;
+
+/** @type {object[]} */
+const patchers = [];
+
+/** @type {WeakMap<object, SheetScheduler>} */
+const schedulers = new WeakMap();
+
+/**
+ * Register a row patcher (see the contract above). Call at module load.
+ *
+ * @param {{ id: string, ns?: string, feature?: string, scope?: string, rows: string,
+ *           item: (row: HTMLElement, ctx: object) => any, apply: (row: HTMLElement, item: any, ctx: object) => string|false,
+ *           key: string, observe?: boolean, requires?: object }} patcher
+ */
+export function registerSheetPatcher(patcher) {
+  if (patchers.some((p) => p.id === patcher.id)) {
+    error(`[${NS}] duplicate patcher id`, { id: patcher.id });
+    return;
+  }
+  patchers.push({ ns: patcher.id, observe: false, ...patcher });
+}
+
+/**
+ * Registered patchers (read-only view for diagnostics).
+ *
+ * @returns {object[]}
+ */
+export function listSheetPatchers() {
+  return [...patchers];
+}
+
+function isRuLang() {
+  const lang = safe(() => game?.i18n?.lang, null);
+  return Boolean(lang) && String(lang).toLowerCase().startsWith("ru");
+}
+
+function afterStableLayout(fn) {
+  requestAnimationFrame(() => requestAnimationFrame(fn));
+}
+
+function isDone(row, key) {
+  const v = row.dataset?.[key];
+  return v === "1" || v === "true";
+}
+
+/**
+ * Run one patcher over its rows.
+ *
+ * @returns {Record<string, number>} status counts
+ */
+function runPatcher(patcher, ctx) {
+  const container = patcher.scope ? ctx.root.querySelector(patcher.scope) : null;
+  const scope = container instanceof HTMLElement ? container : ctx.root;
+
+  const rows = scope.querySelectorAll(patcher.rows);
+  const counts = { rowsFound: rows.length };
+  const count = (status) => (counts[status] = (counts[status] ?? 0) + 1);
+
+  for (const row of rows) {
+    if (!(row instanceof HTMLElement)) continue;
+    if (isDone(row, patcher.key)) {
+      count("skippedAlready");
+      continue;
+    }
+
+    const item = safe(() => patcher.item(row, ctx), null);
+    if (!item) {
+      count("noItem");
+      continue;
+    }
+
+    const status = patcher.apply(row, item, ctx);
+    if (status === false) {
+      count("retry");
+      continue;
+    }
+
+    row.dataset[patcher.key] = "1";
+    count(status || "patched");
+  }
+
+  return counts;
+}
+
+class SheetScheduler {
+  constructor(app) {
+    this.app = app;
+    this.root = null;
+    this.observer = null;
+    this.frame = false;
+    this.reasons = new Set();
+    this.timer = null;
+  }
+
+  /**
+   * Track the current sheet element (V1 sheets keep it across re-renders, but not across close/open).
+   */
+  attach(root) {
+    if (this.root === root) return;
+
+    this.disconnect();
+    this.root = root;
+  }
+
+  /**
+   * (Re)observe the row containers of observing patchers. Called after every render pass:
+   * a render replaces the sheet content, so the previous containers are gone.
+   */
+  observeContainers(root) {
+    this.observer?.disconnect();
+
+    const containers = new Set();
+    for (const patcher of patchers) {
+      if (!patcher.observe) continue;
+      if (patcher.feature && !isFeatureEnabled(patcher.feature)) continue;
+
+      if (patcher.scope) {
+        for (const el of root.querySelectorAll(patcher.scope)) containers.add(el);
+      } else {
+        for (const row of root.querySelectorAll(patcher.rows)) if (row.parentElement) containers.add(row.parentElement);
+      }
+    }
+    if (!containers.size) return;
+
+    this.observer ??= new MutationObserver((mutations) => {
+      const meaningful = mutations.some((m) => m.addedNodes.length || m.removedNodes.length || m.type === "characterData");
+      if (!meaningful) return;
+
+      if (this.timer) clearTimeout(this.timer);
+      this.timer = setTimeout(() => {
+        this.timer = null;
+        this.schedule("mutation");
+      }, MUTATION_DEBOUNCE_MS);
+    });
+
+    for (const el of containers) this.observer.observe(el, { subtree: true, childList: true, characterData: true });
+    debugNs(NS, "observer attached", { sheetClass: this.app?.constructor?.name ?? null, containers: containers.size });
+  }
+
+  /**
+   * Run a pass now (render: the sheet content was just inserted).
+   */
+  runNow(reason) {
+    profile(`${NS}:pass`, this.app, () => this.run(new Set([reason])));
+  }
+
+  /**
+   * Queue a pass; every request until the frame fires is served by the same pass.
+   */
+  schedule(reason) {
+    this.reasons.add(reason);
+    if (this.frame) return;
+    this.frame = true;
+
+    afterStableLayout(() => {
+      this.frame = false;
+      const reasons = this.reasons;
+      this.reasons = new Set();
+      profile(`${NS}:pass`, this.app, () => this.run(reasons));
+    });
+  }
+
+  run(reasons) {
+    const root = this.root;
+    const actor = safe(() => this.app?.actor, null);
+    if (!root?.isConnected || !actor || !isRuLang()) return;
+
+    // A pass caused only by DOM changes skips patchers that do not follow mutations.
+    const reason = reasons.has("render") ? "render" : "mutation";
+    const ctx = { app: this.app, actor, root, reason };
+
+    for (const patcher of patchers) {
+      if (reason === "mutation" && !patcher.observe) continue;
+      if (patcher.feature && !isFeatureEnabled(patcher.feature)) continue;
+
+      try {
+        const counts = profile(`${patcher.id}:patch`, this.app, () => runPatcher(patcher, ctx));
+        if (counts.rowsFound > 0) debugNs(patcher.ns, `${patcher.id} patch done`, { reason, actorName: actor.name ?? null, ...counts });
+      } catch (e) {
+        error(`[${patcher.ns}] patch error`, { id: patcher.id, err: String(e), stack: e?.stack ?? null });
+      }
+    }
+
+    if (reason === "render") this.observeContainers(root);
+
+    // Our own DOM writes must not schedule another pass.
+    this.observer?.takeRecords();
+  }
+
+  disconnect() {
+    if (this.timer) clearTimeout(this.timer);
+    this.timer = null;
+    this.observer?.disconnect();
+    this.observer = null;
+    this.root = null;
+  }
+}
+
+Hooks.on("renderActorSheet", (app, html) =>
+  profile(`${NS}:hook`, app, () => {
+    try {
+      if (!patchers.length || !isRuLang()) return;
+      if (!safe(() => app?.actor, null)) return;
+
+      const root = app?.element?.[0] ?? html?.[0] ?? null;
+      if (!(root instanceof HTMLElement)) return;
+
+      let scheduler = schedulers.get(app);
+      if (!scheduler) {
+        scheduler = new SheetScheduler(app);
+        schedulers.set(app, scheduler);
+      }
+
+      scheduler.attach(root);
+      scheduler.runNow("render");
+    } catch (e) {
+      error(`[${NS}] hook error`, { err: String(e), stack: e?.stack ?? null });
+    }
+  })
+);
+
+Hooks.on("closeActorSheet", (app) => {
+  const scheduler = schedulers.get(app);
+  if (!scheduler) return;
+
+  scheduler.disconnect();
+  schedulers.delete(app);
+  debugNs(NS, "scheduler disposed", { sheetClass: app?.constructor?.name ?? null });
+});
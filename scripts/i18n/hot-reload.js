@@ -0,0 +1,249 @@
+/**
+ * Language file hot reload (debug only).
+ *
+ * Editing lang/ru.json or lang/module-*.json normally needs a world reload. With this client
+ * setting on (and debug logging on), the module polls its language files with the no-cache
+ * loadJson() and, when a file changes:
+ * 1) writes the changed keys into game.i18n.translations (base values under translation layers,
+ *    so profiles/overrides stay on top, see scripts/i18n/layers.js),
+ * 2) re-applies translation layers (bumps the layers revision, so derived caches refresh),
+ * 3) re-renders open actor sheets, item sheets and dialogs,
+ * 4) shows a short summary of the changed keys (full list goes to the log).
+ *
+ * Watched files:
+ * - system dictionaries from module.json "languages" for the current UI language (lang/ru.json)
+ * - module string files of the resolved language chain (scripts/i18n/language-chain.js)
+ *
+ * Module keys are resolved through the chain again, so a change in a fallback file does not
+ * win over the preferred language.
+ *
+ * The first read of a file is compared against the running (base) translations rather than taken
+ * as a baseline: edits saved since the world loaded, or before polling started, are applied too.
+ * Keys removed from a file before its first read cannot be seen and stay until the next reload.
+ *
+ * lang/ru.json is read through loadModuleRuDictionary({ reload: true }), which also refreshes the
+ * cached copy the audit and the reverse index read (scripts/i18n/sources.js).
+ * Polling follows both settings: it starts/stops when hot reload or debug logging is toggled.
+ */
+
+import { info, warn, debugNs, safe, isDebugEnabled, MOD_ID } from "../logger/core.js";
+import { loadJson, applyTranslationLayers, getModuleI18nReport } from "../init-module.js";
+import { flattenStrings, setTranslation } from "./keys.js";
+import { getBaseTranslation, setBaseTranslation } from "./layers.js";
+import { BASE_LANG } from "./language-chain.js";
+import { MODULE_RU_PATH, loadModuleRuDictionary } from "./sources.js";
+import { rerenderOpenSheets } from "../utils/render.js";
+
+const NS = "hot-reload";
+
+export const HOT_RELOAD_SETTING = "langHotReload";
+
+const POLL_MS = 2000;
+const SUMMARY_KEYS = 5;
+
+let timer = null;
+let polling = false;
+
+// path -> { kind: "system" | "module", lang, flat }
+const snapshots = new Map();
+
+/**
+ * Pure diff of two flat dictionaries.
+ *
+ * @param {Record<string, string>} prev
+ * @param {Record<string, string>} next
+ * @returns {{ added: string[], changed: string[], removed: string[] }}
+ */
+export function diffFlatStrings(prev, next) {
+  const added = [];
+  const changed = [];
+  const removed = [];
+
+  for (const [key, value] of Object.entries(next)) {
+    if (!(key in prev)) added.push(key);
+    else if (prev[key] !== value) changed.push(key);
+  }
+  for (const key of Object.keys(prev)) if (!(key in next)) removed.push(key);
+
+  return { added, changed, removed };
+}
+
+/**
+ * Files to watch for the current client.
+ *
+ * @returns {Array<{ path: string, kind: "system"|"module", lang: string }>}
+ */
+function watchedFiles() {
+  const lang = safe(() => game.i18n.lang, BASE_LANG) ?? BASE_LANG;
+  const out = [];
+
+  const languages = safe(() => Array.from(game.modules.get(MOD_ID)?.languages ?? []), []) ?? [];
+  for (const l of languages) {
+    if (l?.lang === lang && l?.path) out.push({ path: stripModulePrefix(l.path), kind: "system", lang });
+  }
+
+  const report = getModuleI18nReport();
+  for (const code of report?.loaded ?? []) {
+    out.push({ path: report.files[code], kind: "module", lang: code });
+  }
+
+  return out;
+}
+
+// Manifest paths may come back resolved ("modules/<id>/lang/ru.json").
+function stripModulePrefix(path) {
+  return String(path).replace(new RegExp(`^/?modules/${MOD_ID}/`), "");
+}
+
+/**
+ * Value of a module key after chain resolution (first chain language that has it).
+ */
+function resolveModuleValue(key) {
+  for (const code of getModuleI18nReport()?.loaded ?? []) {
+    for (const snap of snapshots.values()) {
+      if (snap.kind === "module" && snap.lang === code && key in snap.flat) return snap.flat[key];
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Fetch one file and return its diff against the previous snapshot
+ * ({ first: true } on the first read, null when unchanged or on failure).
+ */
+async function pollFile(file) {
+  let flat;
+  try {
+    const data = file.path === MODULE_RU_PATH ? await loadModuleRuDictionary({ reload: true }) : await loadJson(file.path);
+    flat = flattenStrings(data);
+  } catch (e) {
+    debugNs(NS, "language file read failed", { path: file.path, err: String(e) });
+    return null;
+  }
+
+  const prev = snapshots.get(file.path);
+  snapshots.set(file.path, { ...file, flat });
+  if (!prev) return { first: true };
+
+  const diff = diffFlatStrings(prev.flat, flat);
+  return diff.added.length || diff.changed.length || diff.removed.length ? diff : null;
+}
+
+/**
+ * Keys of a first-read file whose value differs from the running base translation.
+ * Run after every file of the pass is read, so module keys resolve through the whole chain.
+ */
+function keysDifferingFromLoaded(file) {
+  const store = safe(() => game.i18n.translations, null) ?? {};
+  const flat = snapshots.get(file.path)?.flat ?? {};
+
+  return Object.keys(flat).filter((key) => {
+    const value = file.kind === "module" ? resolveModuleValue(key) : flat[key];
+    return value !== undefined && value !== getBaseTranslation(store, key);
+  });
+}
+
+function applyChanges(file, keys) {
+  const store = (game.i18n.translations ??= {});
+  const fallback = safe(() => game.i18n._fallback, null);
+  const flat = snapshots.get(file.path).flat;
+
+  for (const key of keys) {
+    const value = file.kind === "module" ? resolveModuleValue(key) : flat[key];
+    setBaseTranslation(store, key, value);
+
+    // Module English strings also back game.i18n._fallback (see init-module.js).
+    if (file.kind === "module" && file.lang === BASE_LANG && fallback && key in flat) {
+      setTranslation(fallback, key, flat[key]);
+    }
+  }
+}
+
+function notifySummary(changes) {
+  const keys = changes.flatMap((c) => c.keys);
+  const shown = keys.slice(0, SUMMARY_KEYS).join(", ");
+  const more = keys.length > SUMMARY_KEYS ? ` (+${keys.length - SUMMARY_KEYS})` : "";
+
+  const message = safe(
+    () =>
+      game.i18n.format(`${MOD_ID}.hotReload.changed`, {
+        count: keys.length,
+        files: changes.map((c) => c.path).join(", "),
+        keys: `${shown}${more}`
+      }),
+    null
+  );
+  if (message) safe(() => ui.notifications?.info(message));
+}
+
+async function poll() {
+  if (polling) return;
+  polling = true;
+
+  try {
+    const changes = [];
+    const firstReads = [];
+
+    for (const file of watchedFiles()) {
+      const diff = await pollFile(file);
+      if (!diff) continue;
+      if (diff.first) {
+        firstReads.push(file);
+        continue;
+      }
+
+      const keys = [...diff.added, ...diff.changed, ...diff.removed];
+      applyChanges(file, keys);
+      changes.push({ path: file.path, keys, ...diff });
+    }
+
+    for (const file of firstReads) {
+      const keys = keysDifferingFromLoaded(file);
+      if (!keys.length) continue;
+
+      applyChanges(file, keys);
+      changes.push({ path: file.path, keys, added: [], changed: keys, removed: [] });
+    }
+
+    if (!changes.length) return;
+
+    await applyTranslationLayers();
+    const rerendered = rerenderOpenSheets({ dialogs: true, reason: NS });
+
+    info("I18N: language files reloaded", {
+      rerendered,
+      files: changes.map(({ path, added, changed, removed }) => ({ path, added, changed, removed }))
+    });
+    notifySummary(changes);
+  } catch (e) {
+    warn("I18N: language hot reload failed", { err: String(e), stack: e?.stack ?? null });
+  } finally {
+    polling = false;
+  }
+}
+
+function isEnabled() {
+  return isDebugEnabled() && safe(() => game.settings.get(MOD_ID, HOT_RELOAD_SETTING), false) === true;
+}
+
+function stop() {
+  if (timer) clearInterval(timer);
+  timer = null;
+  snapshots.clear();
+}
+
+/**
+ * Start or stop polling according to settings (called on ready and on setting change).
+ */
+export function syncHotReload() {
+  stop();
+  if (!isEnabled()) return;
+
+  // First pass compares the files with the running translations (see the header).
+  poll();
+  timer = setInterval(poll, POLL_MS);
+
+  debugNs(NS, "language hot reload started", { intervalMs: POLL_MS, files: watchedFiles().map((f) => f.path) });
+}
+
+Hooks.once("ready", () => syncHotReload());
@@ -0,0 +1,103 @@
+/**
+ * Translation key helpers (pure, no Foundry dependencies).
+ *
+ * Context:
+ * - Foundry expands dotted keys into nested objects when it loads a language file,
+ *   so "TYPES.Actor.Mage" and { wod: { dice: { ... } } } end up in the same tree.
+ * - Raw JSON files (lang/ru.json, the system en.json) mix both forms.
+ *
+ * These helpers treat every translation tree as a flat map "dotted.key" -> string,
+ * which is the form the audit, overrides and validators work with.
+ */
+
+/**
+ * Flatten a translation tree into a "dotted.key" -> string map.
+ * Non-string leaves (numbers, arrays, null) are skipped: they are not translatable text.
+ *
+ * @param {object} tree
+ * @param {string} [prefix]
+ * @param {Record<string, string>} [out]
+ * @returns {Record<string, string>}
+ */
+export function flattenStrings(tree, prefix = "", out = {}) {
+  if (!tree || typeof tree !== "object" || Array.isArray(tree)) return out;
+
+  for (const [k, v] of Object.entries(tree)) {
+    const key = prefix ? `${prefix}.${k}` : k;
+    if (typeof v === "string") out[key] = v;
+    else if (v && typeof v === "object" && !Array.isArray(v)) flattenStrings(v, key, out);
+  }
+
+  return out;
+}
+
+/**
+ * Read a string by dotted key from a nested translation tree.
+ *
+ * @param {object} tree
+ * @param {string} key
+ * @returns {string|undefined}
+ */
+export function getTranslation(tree, key) {
+  let cur = tree;
+  for (const part of String(key).split(".")) {
+    if (!cur || typeof cur !== "object") return undefined;
+    cur = cur[part];
+  }
+  return typeof cur === "string" ? cur : undefined;
+}
+
+/**
+ * Write a string by dotted key into a nested translation tree (creating branches).
+ *
+ * @param {object} tree
+ * @param {string} key
+ * @param {string} value
+ */
+export function setTranslation(tree, key, value) {
+  const parts = String(key).split(".");
+  const last = parts.pop();
+
+  let cur = tree;
+  for (const part of parts) {
+    if (!cur[part] || typeof cur[part] !== "object") cur[part] = {};
+    cur = cur[part];
+  }
+
+  cur[last] = value;
+}
+
+/**
+ * Why a dotted key cannot hold a string in a tree without breaking other keys:
+ * - "branch":       the key names a subtree (e.g. "WOD.Attributes"); a string would replace it;
+ * - "under-string": a key prefix is a string leaf; writing would turn that leaf into an object.
+ * Missing keys with a free path are fine (null).
+ *
+ * @param {object} tree
+ * @param {string} key
+ * @returns {"branch"|"under-string"|null}
+ */
+export function translationKeyConflict(tree, key) {
+  const parts = String(key).split(".");
+  let cur = tree;
+  for (let i = 0; i < parts.length; i++) {
+    if (cur === undefined || cur === null) return null;
+    if (typeof cur !== "object") return "under-string";
+    cur = cur[parts[i]];
+  }
+  return cur && typeof cur === "object" ? "branch" : null;
+}
+
+/**
+ * Section used to group keys in reports.
+ * - "wod.abilities.alertness" -> "abilities" (system dictionary sections)
+ * - "TYPES.Actor.Mage"        -> "TYPES"
+ *
+ * @param {string} key
+ * @returns {string}
+ */
+export function sectionOf(key) {
+  const parts = String(key).split(".");
+  if (parts[0] === "wod" && parts.length > 2) return parts[1];
+  return parts[0];
+}
@@ -0,0 +1,102 @@
+/**
+ * Module string language discovery and fallback chains (pure helpers).
+ *
+ * Manifest (module.json) flags:
+ *   "moduleLanguages":   { "ru": "lang/module-ru.json", "en": "lang/module-en.json", ... }
+ *   "languageFallbacks": { "uk": ["ru", "en"], "be": ["ru", "en"] }
+ *
+ * A world setting may override fallbacks with a compact string:
+ *   "uk: ru, en; be: ru, en"
+ *
+ * Chains always end with "en" (the reference language of module strings).
+ */
+
+import { flattenStrings } from "./keys.js";
+
+export const BASE_LANG = "en";
+export const LANG_FALLBACKS_SETTING = "languageFallbacks";
+
+/**
+ * Normalize a language code ("pt-BR" -> "pt-br").
+ *
+ * @param {string} code
+ * @returns {string}
+ */
+export function normalizeLang(code) {
+  return String(code ?? "").trim().toLowerCase();
+}
+
+/**
+ * Parse "uk: ru, en; be: ru, en" into { uk: ["ru","en"], be: ["ru","en"] }.
+ * Invalid fragments are ignored.
+ *
+ * @param {string} text
+ * @returns {Record<string, string[]>}
+ */
+export function parseFallbacks(text) {
+  const out = {};
+  for (const part of String(text ?? "").split(";")) {
+    const [lang, list] = part.split(":");
+    const code = normalizeLang(lang);
+    if (!code || list === undefined) continue;
+    out[code] = list.split(",").map(normalizeLang).filter(Boolean);
+  }
+  return out;
+}
+
+/**
+ * Sanitize manifest-declared fallbacks.
+ *
+ * @param {any} raw
+ * @returns {Record<string, string[]>}
+ */
+export function sanitizeFallbacks(raw) {
+  const out = {};
+  for (const [lang, list] of Object.entries(raw ?? {})) {
+    if (!Array.isArray(list)) continue;
+    out[normalizeLang(lang)] = list.map(normalizeLang).filter(Boolean);
+  }
+  return out;
+}
+
+/**
+ * Build the chain for a UI language, keeping only languages that have a module file.
+ * Regional codes fall back to their base ("pt-br" -> "pt").
+ *
+ * @param {string} lang
+ * @param {Record<string, string[]>} fallbacks
+ * @param {string[]} available
+ * @returns {string[]}
+ */
+export function resolveLanguageChain(lang, fallbacks, available) {
+  const code = normalizeLang(lang);
+  const base = code.split("-")[0];
+
+  const candidates = [code, ...(fallbacks[code] ?? []), base, ...(fallbacks[base] ?? []), BASE_LANG];
+  const have = new Set(available.map(normalizeLang));
+
+  return [...new Set(candidates)].filter((c) => c && have.has(c));
+}
+
+/**
+ * Which chain language supplied each key, aggregated per top-level section of the
+ * module namespace (e.g. "settings", "audit").
+ *
+ * @param {string} namespace - module id (top-level key of module string files)
+ * @param {string[]} chain - in priority order
+ * @param {Record<string, object>} dataByLang - parsed files per language
+ * @returns {Record<string, Record<string, number>>}
+ */
+export function reportChainResolution(namespace, chain, dataByLang) {
+  const flatByLang = Object.fromEntries(chain.map((c) => [c, flattenStrings(dataByLang[c]?.[namespace] ?? {})]));
+  const allKeys = new Set(chain.flatMap((c) => Object.keys(flatByLang[c])));
+
+  const sections = {};
+  for (const key of allKeys) {
+    const from = chain.find((c) => key in flatByLang[c]);
+    const section = key.split(".")[0];
+    sections[section] ??= {};
+    sections[section][from] = (sections[section][from] ?? 0) + 1;
+  }
+  return sections;
+}
@@ -0,0 +1,136 @@
+/**
+ * Translation layers applied on top of the loaded dictionaries.
+ *
+ * Layer order (later wins):
+ * 1) terminology profile (lang/profiles/<id>.json, world setting)
+ * 2) per-world overrides (world setting)
+ *
+ * Every key touched by any layer remembers its base value (the value before layers),
+ * so switching a profile or removing an override restores the text without a reload.
+ *
+ * Layer keys must be string leaves: a key naming a branch or lying under a string leaf
+ * (translationKeyConflict) is rejected, since writing it would destroy text that cannot be restored.
+ */
+
+import { getTranslation, setTranslation, translationKeyConflict } from "./keys.js";
+
+// key -> base value (undefined when the key did not exist before layers)
+const originals = new Map();
+
+// name -> flat entries of the last applied layer
+let applied = new Map();
+
+// name -> { key: conflict } of entries rejected on the last apply
+let rejected = new Map();
+
+// Bumped on every (re)apply so caches derived from translations can tell they are stale.
+let revision = 0;
+
+/**
+ * Restore keys touched by the previous layers, then build one nested tree for `layers`.
+ * The caller merges the returned tree into the store.
+ *
+ * @param {object} store - game.i18n.translations
+ * @param {Array<{ name: string, entries: Record<string, string> }>} layers - in apply order
+ * @returns {object} nested tree to deepMerge into the store
+ */
+export function prepareTranslationLayers(store, layers) {
+  for (const [key, value] of originals) {
+    if (value === undefined) removeKey(store, key);
+    else setTranslation(store, key, value);
+  }
+  originals.clear();
+  applied = new Map();
+  rejected = new Map();
+  revision += 1;
+
+  const tree = {};
+  for (const { name, entries } of layers) {
+    const accepted = {};
+    const refused = {};
+    for (const [key, value] of Object.entries(entries ?? {})) {
+      const conflict = translationKeyConflict(store, key) ?? translationKeyConflict(tree, key);
+      if (conflict) {
+        refused[key] = conflict;
+        continue;
+      }
+      accepted[key] = value;
+      if (!originals.has(key)) originals.set(key, getTranslation(store, key));
+      setTranslation(tree, key, value);
+    }
+    applied.set(name, accepted);
+    if (Object.keys(refused).length) rejected.set(name, refused);
+  }
+
+  return tree;
+}
+
+/**
+ * Base value of a key (before any layer), falling back to the live store.
+ *
+ * @param {object} store
+ * @param {string} key
+ * @returns {string|undefined}
+ */
+export function getBaseTranslation(store, key) {
+  if (originals.has(key)) return originals.get(key);
+  return getTranslation(store, key);
+}
+
+/**
+ * Replace the base value of a key (e.g. after a dictionary file changed on disk).
+ * Keys under a layer keep the layer value; the new base is restored when the layer goes away.
+ *
+ * @param {object} store
+ * @param {string} key
+ * @param {string|undefined} value - undefined removes the key
+ */
+export function setBaseTranslation(store, key, value) {
+  if (originals.has(key)) {
+    originals.set(key, value);
+    return;
+  }
+
+  if (value === undefined) removeKey(store, key);
+  else setTranslation(store, key, value);
+}
+
+/**
+ * Value a named layer currently contributes for a key.
+ *
+ * @param {string} name
+ * @param {string} key
+ * @returns {string|undefined}
+ */
+export function getLayerValue(name, key) {
+  return applied.get(name)?.[key];
+}
+
+/**
+ * Revision of applied layers (changes whenever layers are re-applied).
+ */
+export function getLayersRevision() {
+  return revision;
+}
+
+/**
+ * Summary of applied layers (for logs/diagnostics).
+ */
+export function describeLayers() {
+  return Array.from(applied, ([name, entries]) => ({
+    name,
+    keys: Object.keys(entries).length,
+    ...(rejected.has(name) ? { rejected: rejected.get(name) } : {})
+  }));
+}
+
+function removeKey(store, key) {
+  const parts = key.split(".");
+  const last = parts.pop();
+  let cur = store;
+  for (const part of parts) {
+    cur = cur?.[part];
+    if (!cur || typeof cur !== "object") return;
+  }
+  delete cur[last];
+}
@@ -0,0 +1,29 @@
+/**
+ * Per-world translation overrides.
+ *
+ * Storage:
+ * - World setting "translationOverrides": flat map { "dotted.i18n.key": "replacement text" }.
+ *
+ * Applying:
+ * - Overrides are the topmost translation layer (see scripts/i18n/layers.js), merged into
+ *   game.i18n.translations by the module loader (scripts/init-module.js).
+ */
+
+import { MOD_ID, safe } from "../logger/core.js";
+
+export const OVERRIDES_SETTING = "translationOverrides";
+export const OVERRIDES_LAYER = "overrides";
+
+/**
+ * Read and sanitize the override map from world settings.
+ *
+ * @returns {Record<string, string>}
+ */
+export function getTranslationOverrides() {
+  const raw = safe(() => game.settings.get(MOD_ID, OVERRIDES_SETTING), {}) ?? {};
+  const out = {};
+  for (const [k, v] of Object.entries(raw)) {
+    if (typeof k === "string" && k && typeof v === "string") out[k] = v;
+  }
+  return out;
+}
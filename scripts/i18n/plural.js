@@ -0,0 +1,151 @@
+/**
+ * Plural and grammatical-gender formatting.
+ *
+ * `game.i18n.format` cannot express "1 успех / 3 успеха / 5 успехов", so module lang files
+ * store such strings as form objects:
+ *
+ *   "plural": {
+ *     "successes": { "one": "{count} успех", "few": "{count} успеха", "many": "{count} успехов", "other": "{count} успеха" }
+ *   },
+ *   "gender": {
+ *     "botched": { "masculine": "провалил", "feminine": "провалила", "neuter": "провалило", "other": "провалили" }
+ *   }
+ *
+ * Plural forms are picked with Intl.PluralRules for the UI language (one/few/many/other for RU).
+ * If the current language has no forms for a key, the English forms from the fallback dictionary
+ * (lang/module-en.json, merged into game.i18n._fallback by the loader) are used with English rules.
+ */
+
+import { MOD_ID, safe } from "../logger/core.js";
+
+const rulesCache = new Map();
+
+const GENDER_ALIASES = {
+  m: "masculine",
+  male: "masculine",
+  masculine: "masculine",
+  f: "feminine",
+  female: "feminine",
+  feminine: "feminine",
+  n: "neuter",
+  neuter: "neuter"
+};
+
+function uiLang() {
+  return safe(() => game.i18n?.lang, null) ?? "en";
+}
+
+function pluralRules(lang) {
+  if (!rulesCache.has(lang)) {
+    let rules;
+    try {
+      rules = new Intl.PluralRules(lang);
+    } catch {
+      rules = new Intl.PluralRules("en");
+    }
+    rulesCache.set(lang, rules);
+  }
+  return rulesCache.get(lang);
+}
+
+/**
+ * Resolve a module-relative key ("plural.successes") or a full key ("foundryvtt_wod_v20_ru.plural.successes").
+ */
+function fullKey(key) {
+  const k = String(key ?? "");
+  return k.startsWith(`${MOD_ID}.`) || k.startsWith("wod.") ? k : `${MOD_ID}.${k}`;
+}
+
+function formsFrom(tree, key) {
+  let cur = tree;
+  for (const part of key.split(".")) {
+    if (!cur || typeof cur !== "object") return null;
+    cur = cur[part];
+  }
+  return cur && typeof cur === "object" && !Array.isArray(cur) ? cur : null;
+}
+
+/**
+ * Locate forms for a key: current language first, then the English fallback.
+ *
+ * @returns {{ forms: object, lang: string } | null}
+ */
+function findForms(key) {
+  const k = fullKey(key);
+
+  const current = formsFrom(safe(() => game.i18n.translations, null), k);
+  if (current) return { forms: current, lang: uiLang() };
+
+  const fallback = formsFrom(safe(() => game.i18n._fallback, null), k);
+  if (fallback) return { forms: fallback, lang: "en" };
+
+  return null;
+}
+
+/**
+ * Replace {name} tokens (same syntax as game.i18n.format).
+ *
+ * @param {string} template
+ * @param {Record<string, any>} data
+ * @returns {string}
+ */
+export function interpolate(template, data = {}) {
+  return String(template ?? "").replace(/{([^}]+)}/g, (m, name) => (data[name] !== undefined ? String(data[name]) : m));
+}
+
+/**
+ * Plural category for a count in a language ("one" | "few" | "many" | "other" | ...).
+ *
+ * @param {number} count
+ * @param {string} [lang]
+ * @returns {string}
+ */
+export function pluralCategory(count, lang = uiLang()) {
+  const n = Number(count);
+  return pluralRules(lang).select(Number.isFinite(n) ? Math.abs(n) : 0);
+}
+
+/**
+ * Format a plural string.
+ *
+ * @param {string} key - forms key, module-relative ("plural.successes") or full
+ * @param {number} count
+ * @param {Record<string, any>} [data] - extra {tokens}; {count} is always provided
+ * @returns {string}
+ */
+export function formatPlural(key, count, data = {}) {
+  const found = findForms(key);
+  if (!found) return fullKey(key);
+
+  const category = pluralCategory(count, found.lang);
+  const template = found.forms[category] ?? found.forms.other ?? found.forms.many ?? found.forms.one ?? "";
+  return interpolate(template, { ...data, count });
+}
+
+/**
+ * Format a gendered string.
+ *
+ * @param {string} key - forms key, module-relative ("gender.botched") or full
+ * @param {string} gender - masculine/feminine/neuter (m/f/n accepted)
+ * @param {Record<string, any>} [data]
+ * @returns {string}
+ */
+export function formatGender(key, gender, data = {}) {
+  const found = findForms(key);
+  if (!found) return fullKey(key);
+
+  const g = GENDER_ALIASES[String(gender ?? "").toLowerCase()] ?? "other";
+  const template = found.forms[g] ?? found.forms.other ?? found.forms.masculine ?? "";
+  return interpolate(template, { ...data, gender: g });
+}
+
+Hooks.once("init", () => {
+  const hb = globalThis.Handlebars;
+  if (!hb?.registerHelper) return;
+
+  // {{wodruPlural "plural.successes" count}} / {{wodruPlural "plural.dice" n pool=5}}
+  hb.registerHelper("wodruPlural", (key, count, options) => formatPlural(key, count, options?.hash ?? {}));
+
+  // {{wodruGender "gender.botched" actorGender name=actor.name}}
+  hb.registerHelper("wodruGender", (key, gender, options) => formatGender(key, gender, options?.hash ?? {}));
+});
@@ -0,0 +1,85 @@
+/**
+ * Runtime text replacement rules (declarative registry).
+ *
+ * Some system dialogs and notifications are built in JavaScript with literal English text
+ * that ru.json cannot reach. Rules describe where such text appears and which i18n key
+ * replaces it. Rules ship as JSON (data/replacement-rules.json):
+ *
+ *   {
+ *     "rules": [
+ *       { "id": "dialog-roll", "selector": ".wod-dialog", "text": "Roll", "key": "wod.dice.roll" },
+ *       { "id": "init-already", "selector": "#notifications", "regex": "^(?<name>.+) already has initiative$",
+ *         "key": "foundryvtt_wod_v20_ru.replacements.initiativeAlready" }
+ *     ]
+ *   }
+ *
+ * - selector: CSS selector of the element (or its ancestor) containing the text.
+ * - text:     exact source text (compared trimmed, whitespace collapsed).
+ * - regex:    alternative to text; numbered and named groups are passed to game.i18n.format
+ *             as {1}, {2}, ... and {name}.
+ * - key:      i18n key of the replacement.
+ */
+
+import { warn } from "../logger/core.js";
+
+/**
+ * Normalize text for matching.
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+export function normalizeText(text) {
+  return String(text ?? "").replace(/\s+/g, " ").trim();
+}
+
+/**
+ * Validate and compile raw rules (invalid rules are dropped with a warning).
+ *
+ * @param {any} raw - parsed JSON ({ rules: [...] } or an array)
+ * @returns {Array<{ id: string, selector: string, text: string|null, regex: RegExp|null, key: string }>}
+ */
+export function compileRules(raw) {
+  const list = Array.isArray(raw) ? raw : Array.isArray(raw?.rules) ? raw.rules : [];
+  const out = [];
+
+  list.forEach((r, i) => {
+    const id = String(r?.id ?? `rule-${i}`);
+    if (!r || typeof r.selector !== "string" || typeof r.key !== "string" || (!r.text && !r.regex)) {
+      warn("Replacement rule skipped (invalid shape)", { id });
+      return;
+    }
+
+    let regex = null;
+    if (r.regex) {
+      try {
+        regex = new RegExp(r.regex, r.flags ?? "");
+      } catch (e) {
+        warn("Replacement rule skipped (bad regex)", { id, err: String(e) });
+        return;
+      }
+    }
+
+    out.push({ id, selector: r.selector, text: r.text ? normalizeText(r.text) : null, regex, key: r.key });
+  });
+
+  return out;
+}
+
+/**
+ * Match text against a rule.
+ *
+ * @returns {Record<string, string>|null} format data when matched, null otherwise
+ */
+export function matchRule(rule, text) {
+  if (rule.text !== null) return rule.text === text ? {} : null;
+
+  const m = text.match(rule.regex);
+  if (!m) return null;
+
+  const data = {};
+  m.slice(1).forEach((v, i) => {
+    data[String(i + 1)] = v ?? "";
+  });
+  Object.assign(data, m.groups ?? {});
+  return data;
+}
@@ -0,0 +1,97 @@
+/**
+ * Reverse lookup: rendered RU text -> i18n key(s) + original English text.
+ *
+ * Sources:
+ * - Keys come from lang/ru.json (our dictionary), values from the live store,
+ *   so terminology profiles and world overrides resolve too.
+ * - English text comes from the installed system's English file.
+ *
+ * The index is rebuilt lazily when translation layers are re-applied.
+ */
+
+import { warn } from "../logger/core.js";
+import { flattenStrings, getTranslation } from "./keys.js";
+import { getLayersRevision } from "./layers.js";
+import { loadModuleRuDictionary, loadSystemEnglish } from "./sources.js";
+
+let cache = null; // { revision, index }
+let building = null;
+
+/**
+ * Normalize rendered text for lookup: collapse whitespace, trim trailing ":".
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+export function normalizeLabel(text) {
+  return String(text ?? "")
+    .replace(/\s+/g, " ")
+    .trim()
+    .replace(/\s*:$/, "");
+}
+
+/**
+ * Build the index (pure).
+ *
+ * @param {string[]} keys - keys to index
+ * @param {(key: string) => string|undefined} getRu - current RU text for a key
+ * @param {Record<string, string>} enFlat - flat English dictionary
+ * @returns {Map<string, Array<{ key: string, en: string|null }>>}
+ */
+export function buildReverseIndex(keys, getRu, enFlat) {
+  const index = new Map();
+
+  for (const key of keys) {
+    const ru = normalizeLabel(getRu(key));
+    if (!ru) continue;
+
+    const en = enFlat[key] ?? null;
+    // Identical EN/RU text adds nothing to a tooltip.
+    if (en !== null && normalizeLabel(en) === ru) continue;
+
+    if (!index.has(ru)) index.set(ru, []);
+    index.get(ru).push({ key, en });
+  }
+
+  return index;
+}
+
+/**
+ * Current index (async, cached per layers revision).
+ *
+ * @returns {Promise<Map<string, Array<{ key: string, en: string|null }>>>}
+ */
+export async function getReverseIndex() {
+  const revision = getLayersRevision();
+  if (cache && cache.revision === revision) return cache.index;
+  if (building) return building;
+
+  building = (async () => {
+    try {
+      const [ru, en] = await Promise.all([
+        loadModuleRuDictionary(),
+        loadSystemEnglish().catch((e) => {
+          warn("I18N: reverse index built without system English file", { err: String(e) });
+          return {};
+        })
+      ]);
+
+      const store = game.i18n.translations ?? {};
+      const index = buildReverseIndex(Object.keys(flattenStrings(ru)), (k) => getTranslation(store, k), flattenStrings(en));
+
+      cache = { revision, index };
+      return index;
+    } finally {
+      building = null;
+    }
+  })();
+
+  return building;
+}
+
+/**
+ * Synchronous access to the last built index (null if not built yet).
+ */
+export function peekReverseIndex() {
+  return cache?.index ?? null;
+}
@@ -0,0 +1,69 @@
+/**
+ * Raw dictionary sources used by i18n tooling.
+ *
+ * Why raw files:
+ * - game.i18n.translations is a merge of core + system + every module, so it cannot tell
+ *   which strings come from our lang/ru.json.
+ * - For audits we need the two files as shipped: the system English source and our RU dictionary.
+ *
+ * Loads are cached per page session; pass { reload: true } to fetch again.
+ */
+
+import { loadJson } from "../init-module.js";
+import { safe } from "../logger/core.js";
+
+export const MODULE_RU_PATH = "lang/ru.json";
+
+const cache = new Map();
+
+function cached(key, loader, reload) {
+  if (!reload && cache.has(key)) return cache.get(key);
+
+  const p = loader().catch((e) => {
+    // Do not keep failed loads: next call should retry.
+    cache.delete(key);
+    throw e;
+  });
+
+  cache.set(key, p);
+  return p;
+}
+
+/**
+ * Resolve the URL path of the active system's language file.
+ * Manifest paths may be package-relative ("lang/en.json") or already prefixed
+ * ("systems/worldofdarkness/lang/en.json") depending on the core version.
+ *
+ * @param {string} lang
+ * @returns {string}
+ */
+export function systemLanguagePath(lang) {
+  const systemId = safe(() => game.system?.id, null) ?? "worldofdarkness";
+  const languages = safe(() => Array.from(game.system?.languages ?? []), []);
+  const entry = languages.find((l) => l?.lang === lang);
+
+  const raw = String(entry?.path ?? `lang/${lang}.json`);
+  if (/^\/?(systems|modules)\//.test(raw)) return raw.startsWith("/") ? raw : `/${raw}`;
+
+  return `/systems/${systemId}/${raw}`;
+}
+
+/**
+ * English dictionary of the active system (source of truth for keys).
+ *
+ * @param {{ reload?: boolean }} [opts]
+ * @returns {Promise<object>}
+ */
+export function loadSystemEnglish(opts = {}) {
+  return cached("system:en", () => loadJson(systemLanguagePath("en")), opts.reload === true);
+}
+
+/**
+ * Our RU system dictionary exactly as shipped (lang/ru.json).
+ *
+ * @param {{ reload?: boolean }} [opts]
+ * @returns {Promise<object>}
+ */
+export function loadModuleRuDictionary(opts = {}) {
+  return cached("module:ru", () => loadJson(MODULE_RU_PATH), opts.reload === true);
+}
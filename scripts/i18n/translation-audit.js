@@ -0,0 +1,129 @@
+/**
+ * Translation coverage audit (GM-only).
+ *
+ * Compares the installed `worldofdarkness` system English dictionary with our lang/ru.json:
+ * - missing:      key exists in EN, absent in RU (players will see English)
+ * - obsolete:     key exists in RU, absent in EN (left over after a system update)
+ * - untranslated: key exists in both and RU text is identical to EN
+ *
+ * Results are grouped by section (top-level `wod.*` sections such as `abilities`, `dice`,
+ * `settings`; other keys by their first segment, e.g. `TYPES`).
+ *
+ * Timing:
+ * - Runs once at `ready` for GMs and caches the report for the audit window.
+ * - The window can re-run it on demand (files are re-fetched without cache).
+ */
+
+import { info, warn, safe, MOD_ID } from "../logger/core.js";
+import { flattenStrings, sectionOf } from "./keys.js";
+import { loadSystemEnglish, loadModuleRuDictionary, systemLanguagePath } from "./sources.js";
+
+const SYSTEM_ID = "worldofdarkness";
+
+// Identical strings without letters ("+1", "—", "%") are not considered untranslated.
+const HAS_LETTERS_RE = /\p{L}/u;
+
+let lastReport = null;
+let running = null;
+
+/**
+ * Pure diff of two translation trees.
+ *
+ * @param {object} en - English source tree
+ * @param {object} ru - RU tree
+ * @returns {{ totals: object, sections: Array<{ section: string, missing: string[], obsolete: string[], untranslated: string[] }> }}
+ */
+export function auditTranslations(en, ru) {
+  const enFlat = flattenStrings(en);
+  const ruFlat = flattenStrings(ru);
+
+  /** @type {Map<string, { section: string, missing: string[], obsolete: string[], untranslated: string[] }>} */
+  const bySection = new Map();
+  const bucket = (key) => {
+    const section = sectionOf(key);
+    if (!bySection.has(section)) bySection.set(section, { section, missing: [], obsolete: [], untranslated: [] });
+    return bySection.get(section);
+  };
+
+  for (const [key, enText] of Object.entries(enFlat)) {
+    if (!(key in ruFlat)) {
+      bucket(key).missing.push(key);
+      continue;
+    }
+    if (ruFlat[key] === enText && HAS_LETTERS_RE.test(enText)) bucket(key).untranslated.push(key);
+  }
+
+  for (const key of Object.keys(ruFlat)) {
+    if (!(key in enFlat)) bucket(key).obsolete.push(key);
+  }
+
+  const sections = Array.from(bySection.values())
+    .map((s) => ({ ...s, missing: s.missing.sort(), obsolete: s.obsolete.sort(), untranslated: s.untranslated.sort() }))
+    .sort((a, b) => a.section.localeCompare(b.section));
+
+  const totals = {
+    en: Object.keys(enFlat).length,
+    ru: Object.keys(ruFlat).length,
+    missing: sections.reduce((n, s) => n + s.missing.length, 0),
+    obsolete: sections.reduce((n, s) => n + s.obsolete.length, 0),
+    untranslated: sections.reduce((n, s) => n + s.untranslated.length, 0)
+  };
+
+  return { totals, sections };
+}
+
+/**
+ * Load both dictionaries and build a full report (with environment metadata).
+ *
+ * @param {{ reload?: boolean }} [opts]
+ * @returns {Promise<object>}
+ */
+export async function runTranslationAudit(opts = {}) {
+  if (running) return running;
+
+  running = (async () => {
+    const [en, ru] = await Promise.all([loadSystemEnglish(opts), loadModuleRuDictionary(opts)]);
+    const diff = auditTranslations(en, ru);
+
+    lastReport = {
+      generatedAt: new Date().toISOString(),
+      system: {
+        id: safe(() => game.system?.id, null),
+        version: safe(() => game.system?.version, null)
+      },
+      module: {
+        version: safe(() => game.modules?.get(MOD_ID)?.version, null)
+      },
+      sources: {
+        en: systemLanguagePath("en"),
+        ru: "lang/ru.json"
+      },
+      ...diff
+    };
+
+    info("I18N: translation audit done", lastReport.totals);
+    return lastReport;
+  })();
+
+  try {
+    return await running;
+  } finally {
+    running = null;
+  }
+}
+
+/**
+ * Last computed report (null until the first audit completes).
+ */
+export function getLastAuditReport() {
+  return lastReport;
+}
+
+Hooks.once("ready", () => {
+  if (!safe(() => game.user?.isGM, false)) return;
+  if (safe(() => game.system?.id, null) !== SYSTEM_ID) return;
+
+  runTranslationAudit().catch((e) => {
+    warn("I18N: translation audit failed", { err: String(e), stack: e?.stack ?? null });
+  });
+});
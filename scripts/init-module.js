@@ -8,9 +8,18 @@
  * - Module-only strings are stored separately and are loaded manually into game.i18n.translations.
  *
  * Loading strategy:
- * - If UI language is "ru": load "lang/module-ru.json"
- * - Otherwise: load "lang/module-en.json"
- * - If primary load fails: load fallback "lang/module-en.json"
+ * - Module string files are declared in module.json flags.moduleLanguages ({ code: path }).
+ * - The UI language resolves to a fallback chain (scripts/i18n/language-chain.js), e.g.
+ *   uk > ru > en, from manifest flags.languageFallbacks and the "languageFallbacks" world setting.
+ * - Every chain file that loads is merged, last first, so preferred languages win per key;
+ *   a failing file is skipped. The report of which language resolved each section is logged
+ *   and kept for getModuleI18nReport().
+ * - For non-English UI, "lang/module-en.json" is also merged into game.i18n._fallback so
+ *   missing module keys (and plural forms, scripts/i18n/plural.js) fall back to English.
+ * - After module strings: apply translation layers through the same deepMerge path
+ *   (scripts/i18n/layers.js), in order:
+ *   1) terminology profile "lang/profiles/<id>.json" (world setting, RU only)
+ *   2) per-world translation overrides (scripts/i18n/overrides.js)
  *
  * Logging:
  * - Uses shared logger (scripts/logger/core.js)
@@ -19,14 +28,40 @@
  */
 
 import { info, warn, safe, MOD_ID } from "./logger/core.js";
+import { flattenStrings } from "./i18n/keys.js";
+import { prepareTranslationLayers, describeLayers } from "./i18n/layers.js";
+import { OVERRIDES_LAYER, getTranslationOverrides } from "./i18n/overrides.js";
+import { PROFILE_LAYER, PROFILE_NONE, PROFILE_SETTING, TERMINOLOGY_PROFILES } from "./constants/profiles.js";
+import {
+  BASE_LANG,
+  LANG_FALLBACKS_SETTING,
+  normalizeLang,
+  parseFallbacks,
+  sanitizeFallbacks,
+  resolveLanguageChain,
+  reportChainResolution
+} from "./i18n/language-chain.js";
+
+const profileCache = new Map();
+let moduleI18nReport = null;
 
 function getLang() {
   return safe(() => game?.i18n?.lang, null) ?? document.documentElement?.lang ?? "en";
 }
 
-async function loadJson(path) {
+/**
+ * Fetch a JSON file without browser caching.
+ *
+ * - Module-relative paths ("lang/ru.json") resolve under /modules/<MOD_ID>/.
+ * - Absolute paths ("/systems/worldofdarkness/lang/en.json") are used as-is,
+ *   which lets diagnostics read other packages' files with the same helper.
+ *
+ * @param {string} path
+ * @returns {Promise<any>}
+ */
+export async function loadJson(path) {
   // Use an absolute path for reliability (avoid dependence on base URL).
-  const url = `/modules/${MOD_ID}/${path}`;
+  const url = String(path).startsWith("/") ? String(path) : `/modules/${MOD_ID}/${path}`;
 
   const res = await fetch(url, { cache: "no-cache" });
   if (!res.ok) throw new Error(`Failed to fetch ${url}: ${res.status} ${res.statusText}`);
@@ -34,7 +69,7 @@ async function loadJson(path) {
   return res.json();
 }
 
-function deepMerge(target, source) {
+export function deepMerge(target, source) {
   for (const [k, v] of Object.entries(source ?? {})) {
     if (v && typeof v === "object" && !Array.isArray(v)) {
       if (!target[k] || typeof target[k] !== "object") target[k] = {};
@@ -46,54 +81,156 @@ function deepMerge(target, source) {
   return target;
 }
 
+/**
+ * Merge English module strings into the core fallback dictionary (non-fatal).
+ */
+async function loadModuleFallbackStrings(path) {
+  const fallbackStore = safe(() => game.i18n._fallback, null);
+  if (!fallbackStore || typeof fallbackStore !== "object") return;
+
+  try {
+    deepMerge(fallbackStore, await loadJson(path));
+    info("I18N: merged module fallback strings", { path });
+  } catch (e) {
+    warn("I18N: module fallback strings failed to load", { path, err: String(e) });
+  }
+}
+
+/**
+ * Module string files declared in the manifest (flags.moduleLanguages), keyed by language.
+ * "en" is always present: it is the reference language and the end of every chain.
+ *
+ * @returns {Record<string, string>}
+ */
+function discoverModuleLanguages() {
+  const declared = safe(() => game.modules.get(MOD_ID)?.flags?.moduleLanguages, null) ?? {};
+  const out = {};
+
+  for (const [code, path] of Object.entries(declared)) {
+    if (typeof path === "string" && path) out[normalizeLang(code)] = path;
+  }
+  out[BASE_LANG] ??= "lang/module-en.json";
+
+  return out;
+}
+
+/**
+ * Fallback lists: manifest defaults (flags.languageFallbacks), then the world setting on top.
+ *
+ * @returns {Record<string, string[]>}
+ */
+function getLanguageFallbacks() {
+  const manifest = sanitizeFallbacks(safe(() => game.modules.get(MOD_ID)?.flags?.languageFallbacks, null));
+  const configured = parseFallbacks(safe(() => game.settings.get(MOD_ID, LANG_FALLBACKS_SETTING), ""));
+  return { ...manifest, ...configured };
+}
+
+/**
+ * Last module i18n load report (language, chain, files and per-section resolution).
+ *
+ * @returns {object|null}
+ */
+export function getModuleI18nReport() {
+  return moduleI18nReport;
+}
+
 async function loadModuleTranslations() {
   const lang = getLang();
-  const chosen = lang === "ru" ? "lang/module-ru.json" : "lang/module-en.json";
-  const fallback = "lang/module-en.json";
+  const files = discoverModuleLanguages();
+  const chain = resolveLanguageChain(lang, getLanguageFallbacks(), Object.keys(files));
+
+  info("I18N: loading module translations", { lang, chain, files });
+
+  const dataByLang = {};
+  const loaded = [];
+
+  for (const code of chain) {
+    try {
+      dataByLang[code] = await loadJson(files[code]);
+      loaded.push(code);
+    } catch (e) {
+      warn("I18N: module translation file failed to load", {
+        lang: code,
+        path: files[code],
+        err: String(e),
+        stack: e?.stack ?? null
+      });
+    }
+  }
 
-  info("I18N: loading module translations (primary)", { lang, chosen, fallback });
+  if (!loaded.length) throw new Error(`No module translation file could be loaded (chain: ${chain.join(" > ")})`);
 
-  try {
-    const data = await loadJson(chosen);
+  // Merge from the end of the chain so earlier (preferred) languages win.
+  const store = (game.i18n.translations ??= {});
+  for (const code of [...loaded].reverse()) deepMerge(store, dataByLang[code]);
 
-    // Ensure a translation store exists and merge module strings into it.
-    const store = (game.i18n.translations ??= {});
-    deepMerge(store, data);
+  const sections = reportChainResolution(MOD_ID, loaded, dataByLang);
+  moduleI18nReport = { lang, chain, loaded, files, sections };
 
-    info("I18N: loaded module translations (primary)", {
-      lang,
-      chosen,
-      topKeys: Object.keys(data ?? {})
-    });
+  info("I18N: loaded module translations", { lang, chain: loaded.join(" > "), sections });
 
-    return;
-  } catch (e) {
-    warn("I18N: primary module translation load failed, trying fallback", {
-      lang,
-      chosen,
-      fallback,
-      err: String(e),
-      stack: e?.stack ?? null
-    });
+  // Core falls back to game.i18n._fallback (English) for keys missing everywhere else.
+  if (normalizeLang(lang) !== BASE_LANG) await loadModuleFallbackStrings(files[BASE_LANG]);
+}
+
+/**
+ * Active terminology profile id (validated against known profiles).
+ */
+export function getActiveProfileId() {
+  const id = safe(() => game.settings.get(MOD_ID, PROFILE_SETTING), PROFILE_NONE);
+  return id in TERMINOLOGY_PROFILES ? id : PROFILE_NONE;
+}
 
-    // Fallback attempt
-    const data = await loadJson(fallback);
-    const store = (game.i18n.translations ??= {});
-    deepMerge(store, data);
+async function loadProfileEntries(id) {
+  const path = TERMINOLOGY_PROFILES[id]?.path ?? null;
+  if (!path) return {};
+  if (profileCache.has(id)) return profileCache.get(id);
 
-    info("I18N: loaded module translations (fallback)", {
-      lang,
-      chosen: fallback,
-      topKeys: Object.keys(data ?? {})
-    });
+  try {
+    const entries = flattenStrings(await loadJson(path));
+    profileCache.set(id, entries);
+    return entries;
+  } catch (e) {
+    warn("I18N: terminology profile load failed", { id, path, err: String(e) });
+    return {};
   }
 }
 
+/**
+ * (Re)apply translation layers (profile, then overrides) on top of the loaded dictionaries.
+ * Safe to call repeatedly: keys touched by the previous layers are restored first.
+ */
+export async function applyTranslationLayers() {
+  // Profiles are RU term sets: other UI languages keep the plain dictionaries.
+  const profileId = getLang() === "ru" ? getActiveProfileId() : PROFILE_NONE;
+  const profile = await loadProfileEntries(profileId);
+  const overrides = getTranslationOverrides();
+
+  const store = (game.i18n.translations ??= {});
+  deepMerge(
+    store,
+    prepareTranslationLayers(store, [
+      { name: PROFILE_LAYER, entries: profile },
+      { name: OVERRIDES_LAYER, entries: overrides }
+    ])
+  );
+
+  const layers = describeLayers();
+  if (layers.some((l) => l.rejected)) warn("I18N: layer keys rejected (not string leaves)", { profileId, layers });
+  else info("I18N: applied translation layers", { profileId, layers });
+}
+
 Hooks.on("i18nInit", () => {
-  loadModuleTranslations().catch((e) => {
-    warn("I18N: module i18n load failed (unhandled)", {
-      err: String(e),
-      stack: e?.stack ?? null
+  loadModuleTranslations()
+    .catch((e) => {
+      warn("I18N: module i18n load failed (unhandled)", {
+        err: String(e),
+        stack: e?.stack ?? null
+      });
+    })
+    // Layers must apply even if module strings failed: they fix system strings too.
+    .then(() => applyTranslationLayers())
+    .catch((e) => {
+      warn("I18N: translation layers failed", { err: String(e), stack: e?.stack ?? null });
     });
-  });
 });
@@ -7,6 +7,15 @@
  * - Single source of truth for MOD_ID and TAG.
  * - Consistent log formatting and timestamps.
  * - Centralized "is debug enabled" check (module setting).
+ * - Console filtering: minimum level and namespace allow/deny lists (client settings).
+ *   Namespaces come from debugNs(ns, ...), a "[ns] ..." message prefix or data.ns.
+ *   Errors ignore namespace lists; entries without a namespace are filtered by level only.
+ * - Rate limiting of repeated identical "safe() caught" warnings (collapsed into counted summaries,
+ *   flushed by one shared timer).
+ * - In-memory ring buffer of recent log entries. info/warn/error entries are kept even when debug
+ *   is off, so a diagnostics bundle can include what happened before debug was switched on.
+ *   Entries keep their raw data; it is serialized only when the buffer is read (bundle, log viewer).
+ *   Debug-level entries (per-render payloads) are not kept while debug is off.
  * - Utility helpers that must NEVER throw (safe()).
  *
  * Non-responsibilities:
@@ -18,6 +27,35 @@
 export const MOD_ID = "foundryvtt_wod_v20_ru";
 export const TAG = "[wod-v20-ru][debug]";
 
+// Console filter settings (registered in scripts/settings.js).
+export const LOG_LEVEL_SETTING = "logLevel";
+export const LOG_ALLOW_SETTING = "logNamespacesAllow";
+export const LOG_DENY_SETTING = "logNamespacesDeny";
+export const LOG_LEVELS = ["error", "warn", "info", "debug"];
+
+// Identical safe() failures within this window are collapsed into one summary.
+const SAFE_REPEAT_WINDOW_MS = 5000;
+
+/** @type {Map<string, { repeats: number, since: number }>} */
+const safeRepeats = new Map();
+let safeFlushTimer = null;
+
+// Parsed namespace lists, keyed by the raw setting text.
+const nsListCache = new Map();
+
+// Ring buffer of recent log entries (oldest first once wrapped).
+const BUFFER_SIZE = 1000;
+// Serialized data longer than this is cut in the buffer (console output is not affected).
+const BUFFER_DATA_CHARS = 2000;
+
+const buffer = new Array(BUFFER_SIZE);
+let bufferNext = 0;
+let bufferCount = 0;
+let entrySeq = 0;
+
+/** @type {Set<(entry: object) => void>} */
+const entryListeners = new Set();
+
 /**
  * Produce a short monotonic timestamp label.
  * We intentionally use performance.now() (relative time) to correlate events
@@ -57,14 +95,119 @@ function toJson(data) {
   }
 }
 
+function readSetting(key, fallback) {
+  try {
+    return game.settings.get(MOD_ID, key) ?? fallback;
+  } catch {
+    return fallback;
+  }
+}
+
+/**
+ * Parse "combat, notes-rollables, sheet" into a list (cached per raw text).
+ */
+function nsList(raw) {
+  const text = String(raw ?? "");
+  if (!nsListCache.has(text)) {
+    nsListCache.set(
+      text,
+      text
+        .split(",")
+        .map((s) => s.trim().toLowerCase())
+        .filter(Boolean)
+    );
+  }
+  return nsListCache.get(text);
+}
+
+// "sheet" matches "sheet" and "sheet:position".
+function nsMatches(ns, list) {
+  return list.some((entry) => ns === entry || ns.startsWith(`${entry}:`));
+}
+
+/**
+ * Namespace of an entry: explicit, "[ns] ..." message prefix, or data.ns.
+ */
+function resolveNs(ns, msg, data) {
+  if (ns) return String(ns).toLowerCase();
+  const m = /^\[([^\]]+)\]/.exec(String(msg));
+  if (m) return m[1].toLowerCase();
+  if (data && typeof data === "object" && typeof data.ns === "string") return data.ns.toLowerCase();
+  return null;
+}
+
+/**
+ * Whether an entry passes the console filters (level + namespace lists).
+ *
+ * @param {string} level
+ * @param {string|null} ns
+ * @returns {boolean}
+ */
+export function passesLogFilters(level, ns) {
+  const min = LOG_LEVELS.indexOf(readSetting(LOG_LEVEL_SETTING, "debug"));
+  if (min >= 0 && LOG_LEVELS.indexOf(level) > min) return false;
+
+  if (!ns || level === "error") return true;
+
+  if (nsMatches(ns, nsList(readSetting(LOG_DENY_SETTING, "")))) return false;
+
+  const allow = nsList(readSetting(LOG_ALLOW_SETTING, ""));
+  return !allow.length || nsMatches(ns, allow);
+}
+
+function record(level, t, msg, data, ns) {
+  // `data` stays raw until read (serializeEntry): references are cheap, JSON is not.
+  const entry = { id: ++entrySeq, time: new Date().toISOString(), t, level, ns, msg, raw: data };
+
+  buffer[bufferNext] = entry;
+  bufferNext = (bufferNext + 1) % BUFFER_SIZE;
+  bufferCount = Math.min(bufferCount + 1, BUFFER_SIZE);
+
+  for (const fn of entryListeners) {
+    try {
+      fn(entry);
+    } catch {
+      // Listeners (e.g. the log viewer) must never break logging.
+    }
+  }
+}
+
+/**
+ * Serialize a buffered entry's data once (the object may have changed since it was logged).
+ */
+function serializeEntry(entry) {
+  if ("raw" in entry) {
+    const json = toJson(entry.raw);
+    entry.data = json.length > BUFFER_DATA_CHARS ? `${json.slice(0, BUFFER_DATA_CHARS)}…` : json;
+    delete entry.raw;
+  }
+  return entry;
+}
+
 /**
  * Internal log dispatcher.
  * All public log functions call into this to keep the log format uniform.
+ * info/warn/error entries are always recorded in the ring buffer, debug entries only with debug on;
+ * console output depends on the debug setting and the console filters (passesLogFilters).
  */
-function log(level, msg, data) {
-  if (!isDebugEnabled()) return;
+function log(level, msg, data, ns = null) {
+  const debugOn = isDebugEnabled();
+  // Debug payloads are frequent (every sheet render): nothing is done with them while debug is off.
+  if (level === "debug" && !debugOn) return;
+
+  const t = now();
+  const resolvedNs = resolveNs(ns, msg, data);
+
+  try {
+    record(level, t, msg, data, resolvedNs);
+  } catch {
+    // Never let the buffer break logging.
+  }
+
+  if (!debugOn) return;
+  if (!passesLogFilters(level, resolvedNs)) return;
 
-  const prefix = `${TAG} ${now()} ${msg}`;
+  const prefix = `${TAG} ${t} ${msg}`;
   if (data === undefined) {
     console[level](prefix);
     return;
@@ -72,6 +215,35 @@ function log(level, msg, data) {
   console[level](`${prefix} ${toJson(data)}`);
 }
 
+/**
+ * Recent log entries, oldest first.
+ *
+ * @returns {Array<{ id: number, time: string, t: string, level: string, ns: string|null, msg: string, data: string }>}
+ */
+export function getLogBuffer() {
+  const out = [];
+  const start = bufferCount < BUFFER_SIZE ? 0 : bufferNext;
+  for (let i = 0; i < bufferCount; i++) out.push(serializeEntry(buffer[(start + i) % BUFFER_SIZE]));
+  return out;
+}
+
+/**
+ * Subscribe to new log entries (live log viewer).
+ *
+ * @param {(entry: object) => void} fn
+ * @returns {() => void} unsubscribe
+ */
+export function onLogEntry(fn) {
+  entryListeners.add(fn);
+  return () => entryListeners.delete(fn);
+}
+
+export function clearLogBuffer() {
+  buffer.fill(undefined);
+  bufferNext = 0;
+  bufferCount = 0;
+}
+
 export function info(msg, data) {
   log("info", msg, data);
 }
@@ -95,7 +267,7 @@ export function error(msg, data) {
  *   debugNs("combat", "hook entered", { actorId: "..." });
  */
 export function debugNs(ns, msg, data) {
-  debug(`[${ns}] ${msg}`, data);
+  log("debug", `[${ns}] ${msg}`, data, ns);
 }
 
 /**
@@ -106,11 +278,50 @@ export function safe(fn, fallback = undefined) {
   try {
     return fn();
   } catch (e) {
-    warn("safe() caught", { err: String(e), stack: e?.stack ?? null });
+    reportSafeCatch(e);
     return fallback;
   }
 }
 
+/**
+ * First occurrence of an error is logged in full; identical ones within the window are
+ * only counted and reported once as a summary when the window ends.
+ */
+function reportSafeCatch(e) {
+  const key = String(e);
+  const entry = safeRepeats.get(key);
+  if (entry) {
+    entry.repeats += 1;
+    return;
+  }
+
+  safeRepeats.set(key, { repeats: 0, since: Date.now() });
+  warn("safe() caught", { err: key, stack: e?.stack ?? null });
+  scheduleSafeFlush();
+}
+
+// One timer for all pending windows, re-armed for the earliest one still open.
+function scheduleSafeFlush() {
+  if (safeFlushTimer !== null || !safeRepeats.size) return;
+
+  const earliest = Math.min(...Array.from(safeRepeats.values(), (r) => r.since));
+  const delay = Math.max(0, earliest + SAFE_REPEAT_WINDOW_MS - Date.now());
+  safeFlushTimer = setTimeout(flushSafeRepeats, delay);
+}
+
+function flushSafeRepeats() {
+  safeFlushTimer = null;
+  const cutoff = Date.now() - SAFE_REPEAT_WINDOW_MS;
+
+  for (const [key, r] of safeRepeats) {
+    if (r.since > cutoff) continue;
+    safeRepeats.delete(key);
+    if (r.repeats > 0) warn("safe() caught (repeated)", { err: key, repeats: r.repeats, windowMs: SAFE_REPEAT_WINDOW_MS });
+  }
+
+  scheduleSafeFlush();
+}
+
 /**
  * Helper to print CSS classes of an element as a single string.
  */
@@ -11,12 +11,128 @@
  * - Install only once.
  * - Only emit logs when debug setting is enabled.
  * - Never throw from handlers.
+ *
+ * Attribution:
+ * - Script URLs are parsed from the stack (plus the event filename) and mapped to a package:
+ *   `/modules/<id>/` -> module, `/systems/<id>/` -> system, anything else on this origin -> core.
+ * - The first frame that belongs to a module or the system is the source; an error passing
+ *   through this module's scripts anywhere in the stack is flagged `own`.
+ * - Errors are grouped by source + message + top frame, with counts and first/last seen times
+ *   (getGlobalErrorGroups, also in the diagnostics bundle).
  */
 
-import { error, info, isDebugEnabled } from "./core.js";
+import { MOD_ID, error, info, isDebugEnabled, safe } from "./core.js";
 
 let installed = false;
 
+// Distinct groups kept; further new groups only bump the overflow counter.
+const MAX_GROUPS = 100;
+const MAX_FRAMES = 5;
+
+/** @type {Map<string, object>} */
+const groups = new Map();
+let droppedGroups = 0;
+
+// "at fn (https://host/modules/x/a.js:1:2)", "fn@https://host/a.js:1:2", "at https://host/a.js:1:2"
+const FRAME_URL_RE = /((?:https?|file|blob:https?):\/\/[^\s()]+?|\/[^\s()]+?\.m?js[^\s():]*):(\d+):(\d+)/g;
+
+/**
+ * Script locations in a stack trace, top frame first.
+ *
+ * @param {string} stack
+ * @returns {Array<{ url: string, line: number, col: number }>}
+ */
+export function parseStackUrls(stack) {
+  return Array.from(String(stack ?? "").matchAll(FRAME_URL_RE), (m) => ({ url: m[1], line: Number(m[2]), col: Number(m[3]) }));
+}
+
+function packageTitle(kind, id) {
+  if (kind === "system") return safe(() => (game.system.id === id ? game.system.title : null), null);
+  return safe(() => game.modules.get(id)?.title ?? null, null);
+}
+
+/**
+ * Package a script URL belongs to.
+ *
+ * @param {string} url
+ * @returns {{ kind: "module"|"system"|"core"|"external", id: string|null, title: string|null }}
+ */
+export function attributeUrl(url) {
+  const path = safe(() => new URL(url, globalThis.location?.href).pathname, url) ?? url;
+  const m = /\/(modules|systems)\/([^/]+)\//.exec(path);
+  if (m) {
+    const kind = m[1] === "modules" ? "module" : "system";
+    const id = decodeURIComponent(m[2]);
+    return { kind, id, title: packageTitle(kind, id) };
+  }
+
+  const sameOrigin = safe(() => new URL(url, globalThis.location?.href).origin === globalThis.location?.origin, false);
+  return sameOrigin ? { kind: "core", id: null, title: null } : { kind: "external", id: null, title: null };
+}
+
+function attribute(stack, filename) {
+  const frames = parseStackUrls(stack);
+  if (filename && !frames.some((f) => f.url === filename)) frames.unshift({ url: filename, line: null, col: null });
+
+  const attributed = frames.map((f) => ({ ...f, pkg: attributeUrl(f.url) }));
+  const origin = attributed.find((f) => f.pkg.kind === "module" || f.pkg.kind === "system") ?? attributed[0] ?? null;
+
+  return {
+    source: origin?.pkg ?? { kind: "unknown", id: null, title: null },
+    own: attributed.some((f) => f.pkg.kind === "module" && f.pkg.id === MOD_ID),
+    frames: attributed.slice(0, MAX_FRAMES).map((f) => `${f.url}${f.line ? `:${f.line}:${f.col}` : ""}`)
+  };
+}
+
+function record(kind, message, stack, filename) {
+  const { source, own, frames } = attribute(stack, filename);
+  const key = [source.kind, source.id ?? "", message, frames[0] ?? ""].join("|");
+  const at = new Date().toISOString();
+
+  let group = groups.get(key);
+  if (!group) {
+    if (groups.size >= MAX_GROUPS) {
+      droppedGroups++;
+      return { source, own, count: 1 };
+    }
+    group = { kind, message, source, own, frames, count: 0, firstSeen: at, lastSeen: at };
+    groups.set(key, group);
+  }
+
+  group.count++;
+  group.lastSeen = at;
+  return group;
+}
+
+/**
+ * Grouped global errors, most frequent first.
+ *
+ * @returns {{ groups: object[], dropped: number, bySource: Array<{ source: string, kind: string, title: string|null, count: number, own: boolean }> }}
+ */
+export function getGlobalErrorGroups() {
+  const list = Array.from(groups.values()).sort((a, b) => b.count - a.count || b.lastSeen.localeCompare(a.lastSeen));
+
+  const bySource = new Map();
+  for (const g of list) {
+    const name = g.source.id ?? g.source.kind;
+    const entry = bySource.get(name) ?? { source: name, kind: g.source.kind, title: g.source.title, count: 0, own: false };
+    entry.count += g.count;
+    entry.own ||= g.own;
+    bySource.set(name, entry);
+  }
+
+  return {
+    groups: list.map((g) => ({ ...g, source: { ...g.source }, frames: [...g.frames] })),
+    dropped: droppedGroups,
+    bySource: Array.from(bySource.values()).sort((a, b) => b.count - a.count)
+  };
+}
+
+export function clearGlobalErrorGroups() {
+  groups.clear();
+  droppedGroups = 0;
+}
+
 export function installGlobalErrorHooks() {
   if (installed) return;
   installed = true;
@@ -25,13 +141,17 @@ export function installGlobalErrorHooks() {
     if (!isDebugEnabled()) return;
     try {
       const e = ev?.error;
+      const group = record("error", ev?.message ?? String(e), e?.stack ?? null, ev?.filename ?? null);
       error("window.error", {
         message: ev?.message ?? null,
         filename: ev?.filename ?? null,
         lineno: ev?.lineno ?? null,
         colno: ev?.colno ?? null,
         err: e ? String(e) : null,
-        stack: e?.stack ?? null
+        stack: e?.stack ?? null,
+        source: group.source,
+        own: group.own,
+        count: group.count
       });
     } catch (ex) {
       console.error("[wod-v20-ru][debug] window.error handler failed", ex);
@@ -42,9 +162,13 @@ export function installGlobalErrorHooks() {
     if (!isDebugEnabled()) return;
     try {
       const reason = ev?.reason;
+      const group = record("unhandledrejection", String(reason), reason?.stack ?? null, null);
       error("window.unhandledrejection", {
         reason: reason ? String(reason) : null,
-        stack: reason?.stack ?? null
+        stack: reason?.stack ?? null,
+        source: group.source,
+        own: group.own,
+        count: group.count
       });
     } catch (ex) {
       console.error("[wod-v20-ru][debug] unhandledrejection handler failed", ex);
@@ -20,6 +20,8 @@ import {
   classString,
   debugNs
 } from "./logger/core.js";
+import { isFeatureEnabled } from "./features.js";
+import { profile } from "./diagnostics/profiler.js";
 
 const NS = "ru-width";
 
@@ -42,6 +44,14 @@ function getLang() {
   );
 }
 
+/**
+ * Whether RU sheet adaptation is active (the same decision that applies langRU).
+ * Exported so other RU-only features follow exactly this rule.
+ */
+export function isRuActive() {
+  return getLang() === "ru";
+}
+
 /**
  * Extract the root HTML element of an application render.
  */
@@ -124,7 +134,7 @@ function syncDocumentLangClass() {
   const root = document.documentElement;
   if (!root) return;
 
-  if (lang === "ru") {
+  if (isRuActive()) {
     const removed = normalizeLangClassesForRU(root);
     if (removed.length) {
       debugNs(NS, "normalized <html> language classes", { removed });
@@ -148,9 +158,10 @@ Hooks.on("renderApplication", () => {
 /**
  * Main hook: applied on every ActorSheet render.
  */
-Hooks.on("renderActorSheet", (app, html) => {
-  const lang = getLang();
-  const shouldApply = lang === "ru";
+Hooks.on("renderActorSheet", (app, html) => profile("ru-width:hook", app, () => applyWidthPatch(app, html)));
+
+function applyWidthPatch(app, html) {
+  const shouldApply = isRuActive();
 
   const root = getRootElement(app, html);
   if (!root) {
@@ -167,6 +178,13 @@ Hooks.on("renderActorSheet", (app, html) => {
   // Never touch non-RU sheets.
   if (!shouldApply) return;
 
+  // Feature off: drop the class we added earlier so ru-sheets.css geometry stops applying.
+  if (!isFeatureEnabled("widthNormalization")) {
+    root.classList.remove(LANG_CLASS);
+    debugNs(NS, "skip: width normalization disabled", { sheetClass: app?.constructor?.name ?? null });
+    return;
+  }
+
   // Make sure sheet root has ONLY langRU among langXX.
   const removed = normalizeLangClassesForRU(root);
 
@@ -192,4 +210,4 @@ Hooks.on("renderActorSheet", (app, html) => {
   }
 
   debugNs(NS, "sheet snapshot", snap);
-});
+}
@@ -15,8 +15,39 @@
  *   [wod-v20-ru][debug] SETTINGS: ...
  */
 
+import { TranslationAuditApp } from "./apps/translation-audit-app.js";
+import { TranslationOverrideApp } from "./apps/translation-override-app.js";
+import { LayoutVarsApp } from "./apps/layout-vars-app.js";
+import { SettingsPresetApp } from "./apps/settings-preset-app.js";
+import { SettingsPushApp } from "./apps/settings-push-app.js";
+import { DiagnosticsApp } from "./apps/diagnostics-app.js";
+import { LogViewerApp } from "./apps/log-viewer-app.js";
+import { LayoutBaselineApp } from "./apps/layout-baseline-app.js";
+import { applyTranslationLayers } from "./init-module.js";
+import { OVERRIDES_SETTING } from "./i18n/overrides.js";
+import { PROFILE_NONE, PROFILE_SETTING, TERMINOLOGY_PROFILES } from "./constants/profiles.js";
+import { TOOLTIP_SETTING } from "./hooks/bilingual-tooltips.js";
+import { LANG_FALLBACKS_SETTING } from "./i18n/language-chain.js";
+import { HOT_RELOAD_SETTING, syncHotReload } from "./i18n/hot-reload.js";
+import { LAYOUT_VARS_SETTING, applyLayoutVars } from "./hooks/layout-vars.js";
+import { rerenderOpenSheets } from "./utils/render.js";
+import { FEATURES, featureSettingKey, onFeatureToggled } from "./features.js";
+import { LOG_LEVELS, LOG_LEVEL_SETTING, LOG_ALLOW_SETTING, LOG_DENY_SETTING } from "./logger/core.js";
+import { PROFILER_SETTING } from "./diagnostics/profiler.js";
+import { SELECTOR_COMPAT_SETTING } from "./diagnostics/selector-compat.js";
+import { LAYOUT_BASELINE_SETTING } from "./diagnostics/layout-baseline.js";
+
 const MOD_ID = "foundryvtt_wod_v20_ru";
 
+/**
+ * Re-apply translation layers and re-render open sheets/dialogs after a layer setting changes.
+ */
+function refreshTranslations(reason) {
+  applyTranslationLayers()
+    .then(() => rerenderOpenSheets({ dialogs: true, reason }))
+    .catch((e) => console.warn(`[wod-v20-ru][debug] SETTINGS: failed to refresh translations (${reason}): ${String(e)}`));
+}
+
 Hooks.once("init", () => {
   game.settings.register(MOD_ID, "debugLogging", {
     name: `${MOD_ID}.settings.debugLogging.name`,
@@ -24,9 +55,219 @@ Hooks.once("init", () => {
     scope: "client",
     config: true,
     type: Boolean,
+    default: false,
+    // Language hot reload polls only while debug logging is on.
+    onChange: () => syncHotReload()
+  });
+
+  game.settings.register(MOD_ID, LOG_LEVEL_SETTING, {
+    name: `${MOD_ID}.settings.logLevel.name`,
+    hint: `${MOD_ID}.settings.logLevel.hint`,
+    scope: "client",
+    config: true,
+    type: String,
+    choices: Object.fromEntries(LOG_LEVELS.map((level) => [level, `${MOD_ID}.settings.logLevel.choices.${level}`])),
+    default: "debug"
+  });
+
+  game.settings.register(MOD_ID, LOG_ALLOW_SETTING, {
+    name: `${MOD_ID}.settings.logNamespacesAllow.name`,
+    hint: `${MOD_ID}.settings.logNamespacesAllow.hint`,
+    scope: "client",
+    config: true,
+    type: String,
+    default: ""
+  });
+
+  game.settings.register(MOD_ID, LOG_DENY_SETTING, {
+    name: `${MOD_ID}.settings.logNamespacesDeny.name`,
+    hint: `${MOD_ID}.settings.logNamespacesDeny.hint`,
+    scope: "client",
+    config: true,
+    type: String,
+    default: ""
+  });
+
+  game.settings.register(MOD_ID, PROFILER_SETTING, {
+    name: `${MOD_ID}.settings.profiler.name`,
+    hint: `${MOD_ID}.settings.profiler.hint`,
+    scope: "client",
+    config: true,
+    type: Boolean,
     default: false
   });
 
+  // Selector compatibility results per system version (scripts/diagnostics/selector-compat.js).
+  game.settings.register(MOD_ID, SELECTOR_COMPAT_SETTING, {
+    scope: "world",
+    config: false,
+    type: Object,
+    default: {}
+  });
+
+  game.settings.registerMenu(MOD_ID, "logViewer", {
+    name: `${MOD_ID}.settings.logViewer.name`,
+    label: `${MOD_ID}.settings.logViewer.label`,
+    hint: `${MOD_ID}.settings.logViewer.hint`,
+    icon: "fas fa-scroll",
+    type: LogViewerApp,
+    restricted: false
+  });
+
+  game.keybindings.register(MOD_ID, "openLogViewer", {
+    name: `${MOD_ID}.keybindings.openLogViewer.name`,
+    hint: `${MOD_ID}.keybindings.openLogViewer.hint`,
+    editable: [{ key: "KeyL", modifiers: ["Control", "Shift"] }],
+    onDown: () => {
+      LogViewerApp.open();
+      return true;
+    }
+  });
+
+  game.settings.registerMenu(MOD_ID, "diagnostics", {
+    name: `${MOD_ID}.settings.diagnostics.name`,
+    label: `${MOD_ID}.settings.diagnostics.label`,
+    hint: `${MOD_ID}.settings.diagnostics.hint`,
+    icon: "fas fa-stethoscope",
+    type: DiagnosticsApp,
+    restricted: false
+  });
+
+  game.settings.register(MOD_ID, LAYOUT_BASELINE_SETTING, {
+    scope: "client",
+    config: false,
+    type: Object,
+    default: {}
+  });
+
+  game.settings.registerMenu(MOD_ID, "layoutBaseline", {
+    name: `${MOD_ID}.settings.layoutBaseline.name`,
+    label: `${MOD_ID}.settings.layoutBaseline.label`,
+    hint: `${MOD_ID}.settings.layoutBaseline.hint`,
+    icon: "fas fa-ruler-combined",
+    type: LayoutBaselineApp,
+    restricted: false
+  });
+
+  game.settings.registerMenu(MOD_ID, "translationAudit", {
+    name: `${MOD_ID}.settings.translationAudit.name`,
+    label: `${MOD_ID}.settings.translationAudit.label`,
+    hint: `${MOD_ID}.settings.translationAudit.hint`,
+    icon: "fas fa-language",
+    type: TranslationAuditApp,
+    restricted: true
+  });
+
+  game.settings.register(MOD_ID, OVERRIDES_SETTING, {
+    scope: "world",
+    config: false,
+    type: Object,
+    default: {},
+    onChange: () => refreshTranslations(OVERRIDES_SETTING)
+  });
+
+  game.settings.register(MOD_ID, PROFILE_SETTING, {
+    name: `${MOD_ID}.settings.terminologyProfile.name`,
+    hint: `${MOD_ID}.settings.terminologyProfile.hint`,
+    scope: "world",
+    config: true,
+    type: String,
+    choices: Object.fromEntries(
+      Object.keys(TERMINOLOGY_PROFILES).map((id) => [id, `${MOD_ID}.settings.terminologyProfile.choices.${id}`])
+    ),
+    default: PROFILE_NONE,
+    onChange: () => refreshTranslations(PROFILE_SETTING)
+  });
+
+  game.settings.registerMenu(MOD_ID, "translationOverrides", {
+    name: `${MOD_ID}.settings.translationOverrides.name`,
+    label: `${MOD_ID}.settings.translationOverrides.label`,
+    hint: `${MOD_ID}.settings.translationOverrides.hint`,
+    icon: "fas fa-pen-to-square",
+    type: TranslationOverrideApp,
+    restricted: true
+  });
+
+  // Module strings are merged once at i18nInit, so a new chain needs a reload.
+  game.settings.register(MOD_ID, LANG_FALLBACKS_SETTING, {
+    name: `${MOD_ID}.settings.languageFallbacks.name`,
+    hint: `${MOD_ID}.settings.languageFallbacks.hint`,
+    scope: "world",
+    config: true,
+    type: String,
+    default: "",
+    requiresReload: true
+  });
+
+  // Debug-only: polling runs only while debugLogging is also on.
+  game.settings.register(MOD_ID, HOT_RELOAD_SETTING, {
+    name: `${MOD_ID}.settings.langHotReload.name`,
+    hint: `${MOD_ID}.settings.langHotReload.hint`,
+    scope: "client",
+    config: true,
+    type: Boolean,
+    default: false,
+    onChange: () => syncHotReload()
+  });
+
+  game.settings.register(MOD_ID, TOOLTIP_SETTING, {
+    name: `${MOD_ID}.settings.bilingualTooltips.name`,
+    hint: `${MOD_ID}.settings.bilingualTooltips.hint`,
+    scope: "client",
+    config: true,
+    type: Boolean,
+    default: false,
+    onChange: () => rerenderOpenSheets({ dialogs: true, reason: TOOLTIP_SETTING })
+  });
+
+  game.settings.register(MOD_ID, LAYOUT_VARS_SETTING, {
+    scope: "client",
+    config: false,
+    type: Object,
+    default: {},
+    onChange: (value) => applyLayoutVars(value)
+  });
+
+  game.settings.registerMenu(MOD_ID, "layoutTuning", {
+    name: `${MOD_ID}.settings.layoutTuning.name`,
+    label: `${MOD_ID}.settings.layoutTuning.label`,
+    hint: `${MOD_ID}.settings.layoutTuning.hint`,
+    icon: "fas fa-ruler-combined",
+    type: LayoutVarsApp,
+    restricted: false
+  });
+
+  for (const [id, feature] of Object.entries(FEATURES)) {
+    game.settings.register(MOD_ID, featureSettingKey(id), {
+      name: `${MOD_ID}.settings.features.${id}.name`,
+      hint: `${MOD_ID}.settings.features.${id}.hint`,
+      scope: feature.scope,
+      config: true,
+      type: Boolean,
+      default: true,
+      onChange: (value) => onFeatureToggled(id, value)
+    });
+  }
+
+  // Players may export/import too: world settings in a preset are only applied by a GM.
+  game.settings.registerMenu(MOD_ID, "settingsPreset", {
+    name: `${MOD_ID}.settings.settingsPreset.name`,
+    label: `${MOD_ID}.settings.settingsPreset.label`,
+    hint: `${MOD_ID}.settings.settingsPreset.hint`,
+    icon: "fas fa-file-import",
+    type: SettingsPresetApp,
+    restricted: false
+  });
+
+  game.settings.registerMenu(MOD_ID, "settingsPush", {
+    name: `${MOD_ID}.settings.settingsPush.name`,
+    label: `${MOD_ID}.settings.settingsPush.label`,
+    hint: `${MOD_ID}.settings.settingsPush.hint`,
+    icon: "fas fa-paper-plane",
+    type: SettingsPushApp,
+    restricted: true
+  });
+
   // One-time bootstrap log (not gated by debug flag).
   let current = null;
   try {
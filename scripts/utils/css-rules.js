@@ -0,0 +1,119 @@
+/**
+ * CSSOM helpers for the diagnostics that read module stylesheets.
+ *
+ * Declarations are read from `rule.style.cssText`, not by iterating `rule.style`: iteration lists
+ * longhands only, and a longhand of a shorthand written with var() (`flex: 0 0 var(--x)`,
+ * `padding: var(--y)`) reads as "" until substitution. cssText keeps the shorthand as written.
+ *
+ * Module files use CSS nesting (`.langRU.wod20 { .headlineRow { ... } }`): nested rules are
+ * flattened too and styleRuleSelector() gives their full selector for Element.matches().
+ */
+
+/**
+ * Style rules of a rule list: @media/@supports/@layer contents and nested style rules included.
+ *
+ * @param {CSSRuleList|CSSRule[]} list
+ * @param {CSSStyleRule[]} [out]
+ * @returns {CSSStyleRule[]}
+ */
+export function flattenStyleRules(list, out = []) {
+  for (const rule of Array.from(list ?? [])) {
+    if (rule?.selectorText && rule.style) out.push(rule);
+    if (rule?.cssRules?.length) flattenStyleRules(rule.cssRules, out);
+  }
+  return out;
+}
+
+/**
+ * Split a selector list on top-level commas (commas inside :is()/:not()/:has() and [] stay).
+ *
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function splitSelectorList(text) {
+  const parts = [];
+  let depth = 0;
+  let start = 0;
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (c === "(" || c === "[") depth++;
+    else if (c === ")" || c === "]") depth--;
+    else if (c === "," && depth === 0) {
+      parts.push(text.slice(start, i));
+      start = i + 1;
+    }
+  }
+  parts.push(text.slice(start));
+  return parts.map((p) => p.trim()).filter(Boolean);
+}
+
+/**
+ * Full selector of a style rule: nested rules are resolved against their parent style rules
+ * (`&` is the parent; a nested selector without `&` is relative to it).
+ *
+ * @param {CSSStyleRule} rule
+ * @returns {string}
+ */
+export function styleRuleSelector(rule) {
+  // Nearest enclosing style rule; @media/@supports/@layer wrappers are skipped.
+  let parent = rule.parentRule;
+  while (parent && !parent.selectorText) parent = parent.parentRule;
+  if (!parent) return rule.selectorText;
+
+  const outer = `:is(${styleRuleSelector(parent)})`;
+  return splitSelectorList(rule.selectorText)
+    .map((s) => (s.includes("&") ? s.replaceAll("&", outer) : `${outer} ${s}`))
+    .join(", ");
+}
+
+/**
+ * Declarations of a style rule as written (shorthands and custom properties included).
+ *
+ * @param {CSSStyleRule} rule
+ * @returns {Array<{ prop: string, value: string }>}
+ */
+export function ruleDeclarations(rule) {
+  const text = String(rule?.style?.cssText ?? "");
+  const out = [];
+
+  let depth = 0;
+  let quote = null;
+  let start = 0;
+  for (let i = 0; i <= text.length; i++) {
+    const c = text[i];
+    if (quote) {
+      if (c === "\\") i++;
+      else if (c === quote) quote = null;
+      continue;
+    }
+    if (c === '"' || c === "'") quote = c;
+    else if (c === "(") depth++;
+    else if (c === ")") depth--;
+    else if ((c === ";" && depth === 0) || i === text.length) {
+      const decl = text.slice(start, i);
+      start = i + 1;
+      const colon = decl.indexOf(":");
+      if (colon < 0) continue;
+      const prop = decl.slice(0, colon).trim();
+      const value = decl
+        .slice(colon + 1)
+        .replace(/\s*!important\s*$/i, "")
+        .trim();
+      if (prop) out.push({ prop: prop.startsWith("--") ? prop : prop.toLowerCase(), value });
+    }
+  }
+
+  return out;
+}
+
+/**
+ * Custom properties referenced with var() in a value (fallback chains included).
+ *
+ * @param {string} value
+ * @param {RegExp} [filter] - names to keep, e.g. /^--wodru-/
+ * @returns {string[]}
+ */
+export function varReferences(value, filter = null) {
+  const names = Array.from(String(value ?? "").matchAll(/var\(\s*(--[\w-]+)/g), (m) => m[1]);
+  return filter ? names.filter((n) => filter.test(n)) : names;
+}
@@ -0,0 +1,49 @@
+/**
+ * File download helpers for module tools (reports, presets, diagnostics).
+ *
+ * Foundry v13 exposes saveDataToFile under foundry.utils; older cores had it as a global.
+ */
+
+function saveFn() {
+  return globalThis.foundry?.utils?.saveDataToFile ?? globalThis.saveDataToFile ?? null;
+}
+
+/**
+ * Download arbitrary text as a file.
+ *
+ * @param {string} text
+ * @param {string} type - MIME type
+ * @param {string} filename
+ */
+export function downloadText(text, type, filename) {
+  const save = saveFn();
+  if (save) {
+    save(text, type, filename);
+    return;
+  }
+
+  // Fallback: plain anchor download.
+  const blob = new Blob([text], { type });
+  const a = document.createElement("a");
+  a.href = URL.createObjectURL(blob);
+  a.download = filename;
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(a.href), 1000);
+}
+
+/**
+ * Download data as pretty-printed JSON.
+ *
+ * @param {any} data
+ * @param {string} filename
+ */
+export function downloadJson(data, filename) {
+  downloadText(JSON.stringify(data, null, 2), "application/json", filename);
+}
+
+/**
+ * File-name friendly timestamp: 2026-01-31T12-30-00.
+ */
+export function fileStamp(date = new Date()) {
+  return date.toISOString().slice(0, 19).replace(/:/g, "-");
+}
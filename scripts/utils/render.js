@@ -0,0 +1,56 @@
+/**
+ * Re-render helpers for open applications.
+ *
+ * Used when module state that affects rendered text/layout changes at runtime
+ * (translation overrides, profiles, feature toggles), so users see the result without a reload.
+ */
+
+import { debugNs, safe } from "../logger/core.js";
+
+const NS = "render";
+
+/**
+ * Collect open V1 and V2 applications.
+ *
+ * @returns {any[]}
+ */
+function openApplications() {
+  const v1 = safe(() => Object.values(ui.windows ?? {}), []);
+  const v2 = safe(() => Array.from(foundry.applications?.instances?.values?.() ?? []), []);
+  return [...new Set([...v1, ...v2])];
+}
+
+function isActorSheet(app) {
+  return Boolean(app?.actor) && String(app?.constructor?.name ?? "").includes("ActorSheet");
+}
+
+function isItemSheet(app) {
+  return Boolean(app?.item) && String(app?.constructor?.name ?? "").includes("ItemSheet");
+}
+
+function isDialog(app) {
+  return String(app?.constructor?.name ?? "").includes("Dialog");
+}
+
+/**
+ * Re-render open actor/item sheets (and optionally dialogs).
+ *
+ * @param {{ dialogs?: boolean, reason?: string }} [opts]
+ * @returns {number} number of applications re-rendered
+ */
+export function rerenderOpenSheets(opts = {}) {
+  const { dialogs = false, reason = null } = opts;
+
+  let count = 0;
+  for (const app of openApplications()) {
+    const match = isActorSheet(app) || isItemSheet(app) || (dialogs && isDialog(app));
+    if (!match) continue;
+    if (!safe(() => app.rendered, false)) continue;
+
+    safe(() => app.render(false));
+    count += 1;
+  }
+
+  debugNs(NS, "re-rendered open sheets", { reason, dialogs, count });
+  return count;
+}
@@ -0,0 +1,172 @@
+/**
+ * Module settings presets (export / validate / apply).
+ *
+ * A preset is one JSON document with every registered module setting, grouped by scope:
+ *
+ *   {
+ *     "module": "foundryvtt_wod_v20_ru",
+ *     "format": 1,
+ *     "version": "1.0.0",
+ *     "exportedAt": "2026-01-31T12:30:00.000Z",
+ *     "settings": {
+ *       "world":  { "terminologyProfile": "community", "translationOverrides": { ... }, ... },
+ *       "client": { "debugLogging": false, "layoutVars": { ... }, ... }
+ *     }
+ *   }
+ *
+ * Validation is done against the settings registered in scripts/settings.js (game.settings.settings),
+ * so unknown keys, wrong scopes and wrong value types are reported instead of being written.
+ * World settings can only be applied by a GM. A preset with document errors (other module, broken
+ * scope sections) applies nothing.
+ *
+ * Internal state (recorded diagnostics of this machine/world) is neither exported nor imported.
+ */
+
+import { MOD_ID, safe } from "../logger/core.js";
+import { SELECTOR_COMPAT_SETTING } from "../diagnostics/selector-compat.js";
+import { LAYOUT_BASELINE_SETTING } from "../diagnostics/layout-baseline.js";
+
+export const PRESET_FORMAT = 1;
+
+// Registered settings that are recorded state, not user preferences.
+const INTERNAL_SETTINGS = new Set([SELECTOR_COMPAT_SETTING, LAYOUT_BASELINE_SETTING]);
+
+/**
+ * Registered settings of this module (internal state excluded).
+ *
+ * @returns {Array<{ key: string, scope: string, type: any, choices: object|null }>}
+ */
+export function listModuleSettings() {
+  const all = safe(() => Array.from(game.settings.settings.values()), []) ?? [];
+  return all
+    .filter((s) => s?.namespace === MOD_ID && !INTERNAL_SETTINGS.has(s.key))
+    .map((s) => ({ key: s.key, scope: s.scope ?? "client", type: s.type ?? null, choices: s.choices ?? null }))
+    .sort((a, b) => a.key.localeCompare(b.key));
+}
+
+/**
+ * Current values of every module setting as a preset document.
+ *
+ * @returns {object}
+ */
+export function buildPreset() {
+  const settings = {};
+
+  for (const s of listModuleSettings()) {
+    const value = safe(() => game.settings.get(MOD_ID, s.key), undefined);
+    if (value === undefined) continue;
+    (settings[s.scope] ??= {})[s.key] = toPlain(value);
+  }
+
+  return {
+    module: MOD_ID,
+    format: PRESET_FORMAT,
+    version: safe(() => game.modules.get(MOD_ID)?.version, null),
+    exportedAt: new Date().toISOString(),
+    settings
+  };
+}
+
+function toPlain(value) {
+  return value && typeof value === "object" ? JSON.parse(JSON.stringify(value)) : value;
+}
+
+function typeError(setting, value) {
+  const { type, choices } = setting;
+
+  if (choices && typeof choices === "object" && !(String(value) in choices)) return "choice";
+  if (type === Boolean && typeof value !== "boolean") return "boolean";
+  if (type === Number && typeof value !== "number") return "number";
+  if (type === String && typeof value !== "string") return "string";
+  if (type === Array && !Array.isArray(value)) return "array";
+  if (type === Object && (!value || typeof value !== "object" || Array.isArray(value))) return "object";
+
+  return null;
+}
+
+function sameValue(a, b) {
+  const eq = globalThis.foundry?.utils?.objectsEqual;
+  if (eq && a && b && typeof a === "object" && typeof b === "object") return eq(a, b);
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Validate a preset and diff it against the current values.
+ *
+ * Entry status:
+ * - "change":    valid, differs from the current value
+ * - "same":      valid, equal to the current value
+ * - "unknown":   not a registered setting of this module
+ * - "scope":     registered with another scope
+ * - "type":      value does not match the registered type/choices (see `reason`)
+ * - "forbidden": world setting and the current user is not a GM
+ * - "internal":  recorded state of this module, never imported
+ * - "blocked":   would change, but the preset has document errors (nothing is applied then)
+ *
+ * @param {any} raw - parsed preset
+ * @returns {{ errors: string[], entries: Array<{ key: string, scope: string, status: string, reason?: string, current: any, next: any }> }}
+ */
+export function diffPreset(raw) {
+  const errors = [];
+  const entries = [];
+
+  if (!raw || typeof raw !== "object") return { errors: ["notObject"], entries };
+  if (raw.module !== MOD_ID) errors.push("module");
+  if (!raw.settings || typeof raw.settings !== "object") return { errors: [...errors, "settings"], entries };
+
+  const registered = new Map(listModuleSettings().map((s) => [s.key, s]));
+  const isGM = safe(() => game.user?.isGM === true, false);
+
+  for (const [scope, values] of Object.entries(raw.settings)) {
+    if (!values || typeof values !== "object") {
+      errors.push(`scope:${scope}`);
+      continue;
+    }
+
+    for (const [key, next] of Object.entries(values)) {
+      const setting = registered.get(key);
+      const current = setting ? safe(() => toPlain(game.settings.get(MOD_ID, key)), undefined) : undefined;
+      const reason = setting && setting.scope === scope ? typeError(setting, next) : null;
+
+      let status;
+      if (INTERNAL_SETTINGS.has(key)) status = "internal";
+      else if (!setting) status = "unknown";
+      else if (setting.scope !== scope) status = "scope";
+      else if (reason) status = "type";
+      else if (scope === "world" && !isGM) status = "forbidden";
+      else status = sameValue(current, next) ? "same" : "change";
+
+      entries.push({ key, scope, status, ...(reason ? { reason } : {}), current, next });
+    }
+  }
+
+  if (errors.length) {
+    for (const entry of entries) if (entry.status === "change") entry.status = "blocked";
+  }
+
+  entries.sort((a, b) => a.scope.localeCompare(b.scope) || a.key.localeCompare(b.key));
+  return { errors, entries };
+}
+
+/**
+ * Write every "change" entry (sequentially: onChange handlers may re-render).
+ *
+ * @param {Array<{ key: string, status: string, next: any }>} entries - from diffPreset()
+ * @returns {Promise<{ applied: string[], failed: Array<{ key: string, err: string }> }>}
+ */
+export async function applyPresetEntries(entries) {
+  const applied = [];
+  const failed = [];
+
+  for (const entry of entries) {
+    if (entry.status !== "change") continue;
+    try {
+      await game.settings.set(MOD_ID, entry.key, entry.next);
+      applied.push(entry.key);
+    } catch (e) {
+      failed.push({ key: entry.key, err: String(e) });
+    }
+  }
+
+  return { applied, failed };
+}